@@ -6,6 +6,10 @@
 const App = (function () {
     let currentTournament = null;
     let displayedRoundIndex = 0; // 0-based index of displayed round
+    let seasonTournaments = []; // All tournaments loaded for the season view
+    let seasonPlayers = [];
+    let seasonRatings = {};
+    let storageChecked = false; // Tournament list loaded (or settings asked for) once
 
     /**
      * Initialize the application
@@ -19,18 +23,212 @@ const App = (function () {
         // Wire up event listeners
         bindEvents();
 
-        // Check configuration and load tournaments
-        if (Config.isConfigured()) {
-            await refreshTournamentList();
-        } else {
-            UI.toggleModal(UI.elements.settingsModal, true);
-            UI.showToast('Please configure your GitHub settings first', 'info');
-        }
+        // Ask the user when another device scored the same match differently
+        Storage.setConflictResolver(resolveScoreConflicts);
+
+        // Start offline sync and cache the app shell for offline use
+        Sync.onChange(handleSyncChange);
+        Sync.init();
+        registerServiceWorker();
 
         // Show prepopulate button in dev mode
         if (Config.isDevMode()) {
             UI.elements.prepopulateBtn.classList.remove('hidden');
         }
+
+        // Show the route in the URL, also on back/forward
+        const route = Router.current();
+        Router.onChange(handleRoute);
+
+        // Spectator links need no storage settings; the rest loads when leaving the scoreboard
+        if (route.name === Router.ROUTES.SPECTATOR) {
+            openSpectator(route.date, route.repo || null);
+            return;
+        }
+
+        if (await checkStorage() && route.name !== Router.ROUTES.LIST) {
+            await handleRoute(route);
+        }
+    }
+
+    /**
+     * Load the tournament list the first time a route needs storage,
+     * or ask for the storage settings if they are missing
+     * @returns {Promise<boolean>} True if storage is ready
+     */
+    async function checkStorage() {
+        if (storageChecked) return Storage.isReady();
+        storageChecked = true;
+
+        if (Config.getStorageBackend() === Config.BACKENDS.FOLDER) {
+            await FolderStorage.restoreFolder();
+            UI.setFolderName(FolderStorage.getFolderName(), FolderStorage.needsPermission());
+        }
+
+        if (Storage.isReady()) {
+            await refreshTournamentList();
+            return true;
+        }
+
+        UI.toggleModal(UI.elements.settingsModal, true);
+        if (FolderStorage.needsPermission()) {
+            UI.showToast('Please allow access to the tournaments folder again', 'info');
+        } else {
+            UI.showToast('Please configure your storage settings first', 'info');
+        }
+        return false;
+    }
+
+    /**
+     * Show the view of a route
+     * @param {Object} route - Route from Router
+     */
+    async function handleRoute(route) {
+        const routes = Router.ROUTES;
+
+        if (route.name !== routes.SPECTATOR && Spectator.isRunning()) {
+            Spectator.stop();
+            document.body.classList.remove('spectator-mode');
+        }
+        if (route.name !== routes.LEADERBOARD) {
+            UI.toggleModal(UI.elements.leaderboardModal, false);
+        }
+        if (route.name !== routes.SPECTATOR) {
+            // First route after opening on a spectator link
+            await checkStorage();
+        }
+
+        switch (route.name) {
+            case routes.CREATE:
+                showCreateForm();
+                break;
+            case routes.SEASON:
+                await openSeason();
+                break;
+            case routes.TOURNAMENT:
+            case routes.LEADERBOARD:
+                await showTournamentRoute(route);
+                break;
+            case routes.SPECTATOR:
+                openSpectator(route.date, route.repo || null);
+                break;
+            default:
+                UI.showView('tournamentListView');
+        }
+    }
+
+    /**
+     * Show a tournament at a round, or its leaderboard, loading it if needed
+     * @param {Object} route - Tournament or leaderboard route
+     */
+    async function showTournamentRoute(route) {
+        if (!currentTournament || currentTournament.tournamentDate !== route.date) {
+            if (!await openTournament(route.date)) {
+                Router.navigate({ name: Router.ROUTES.LIST }, { replace: true });
+                return;
+            }
+        }
+
+        if (route.round) {
+            displayedRoundIndex = Math.min(Math.max(route.round - 1, 0), currentTournament.rounds.length - 1);
+        }
+        updateActiveTournamentView();
+        UI.showView('activeTournamentView');
+
+        if (route.name === Router.ROUTES.LEADERBOARD) {
+            UI.renderLeaderboard(Tournament.rankPlayers(currentTournament), Tournament.getTiebreakers(currentTournament));
+            UI.toggleModal(UI.elements.leaderboardModal, true);
+        }
+    }
+
+    /**
+     * Copy the link of the current route (or the spectator scoreboard) to the clipboard
+     * @param {string} target - 'spectator' for the scoreboard link, otherwise the current route
+     */
+    async function copyShareLink(target) {
+        const route = target === 'spectator' && currentTournament
+            ? { name: Router.ROUTES.SPECTATOR, date: currentTournament.tournamentDate }
+            : Router.current();
+
+        try {
+            await Router.copyLink(route);
+            UI.showToast('Link copied', 'success');
+        } catch (error) {
+            // No clipboard access (e.g. not served over HTTPS): let the user copy it
+            prompt('Copy this link:', Router.getShareUrl(route));
+        }
+    }
+
+    /**
+     * Show the read-only scoreboard of a published tournament
+     * @param {string} date - Tournament date in YYYY-MM-DD format
+     * @param {string|null} repository - 'owner/repo' to read from (optional)
+     */
+    function openSpectator(date, repository) {
+        document.body.classList.add('spectator-mode');
+        UI.showView('spectatorView');
+        Spectator.setListener(update => UI.renderSpectator(update));
+        Spectator.start(date, repository);
+    }
+
+    /**
+     * Register the service worker that caches the app shell
+     */
+    function registerServiceWorker() {
+        if (!('serviceWorker' in navigator) || window.location.protocol === 'file:') return;
+
+        navigator.serviceWorker.register('sw.js').catch(error => {
+            console.warn('Service worker registration failed:', error);
+        });
+    }
+
+    /**
+     * Update the pending indicator and pick up new SHAs after a sync
+     */
+    function handleSyncChange(status) {
+        UI.renderSyncStatus(status.pending, status.syncing, status.failed);
+
+        const synced = status.synced;
+        if (!synced || !currentTournament || synced.tournamentDate !== currentTournament.tournamentDate) return;
+
+        if (status.merged) {
+            // Another device saved in the meantime: show the merged result
+            currentTournament = JSON.parse(JSON.stringify(synced));
+            displayedRoundIndex = Math.min(displayedRoundIndex, currentTournament.rounds.length - 1);
+            updateActiveTournamentView();
+            UI.showToast('Merged changes from another device', 'info');
+        } else {
+            currentTournament._sha = synced._sha;
+        }
+    }
+
+    /**
+     * Ask which score to keep for each match scored differently on two devices
+     * @param {Array<Object>} conflicts - Conflicts from Merge.mergeTournaments
+     * @returns {Promise<Array<string>>} 'local' or 'remote' for each conflict
+     */
+    async function resolveScoreConflicts(conflicts) {
+        return conflicts.map(conflict => {
+            const m = conflict.match;
+            const message = `Round ${conflict.roundNumber}: ${m.team1Player1} & ${m.team1Player2} vs ${m.team2Player1} & ${m.team2Player2}\n\n` +
+                `This device: ${conflict.local.team1Score} - ${conflict.local.team2Score}\n` +
+                `Other device: ${conflict.remote.team1Score} - ${conflict.remote.team2Score}\n\n` +
+                'OK keeps the score from this device, Cancel keeps the other one.';
+            return confirm(message) ? 'local' : 'remote';
+        });
+    }
+
+    /**
+     * Save the current tournament through the offline queue
+     * @param {string} successMessage - Toast shown when the save reached storage
+     */
+    async function saveCurrentTournament(successMessage) {
+        const synced = await Sync.saveTournament(currentTournament);
+        if (synced) {
+            UI.showToast(successMessage, 'success');
+        } else {
+            UI.showToast(`${successMessage} on this device - will sync when back online`, 'warning');
+        }
     }
 
     /**
@@ -38,33 +236,43 @@ const App = (function () {
      */
     function bindEvents() {
         // Tournament List Events
-        UI.elements.createTournamentBtn.addEventListener('click', () => {
-            const today = new Date().toISOString().split('T')[0];
-            document.getElementById('tournamentDate').value = today;
-            UI.generatePlayerInputs(parseInt(document.getElementById('playerCount').value));
-            UI.showView('createTournamentView');
-        });
+        UI.elements.createTournamentBtn.addEventListener('click', () => Router.navigate({ name: Router.ROUTES.CREATE }));
 
-        UI.elements.tournamentList.addEventListener('click', async (e) => {
+        UI.elements.tournamentList.addEventListener('click', (e) => {
             const card = e.target.closest('.tournament-card');
             if (card) {
-                const date = card.dataset.date;
-                await openTournament(date);
+                Router.navigate({ name: Router.ROUTES.TOURNAMENT, date: card.dataset.date });
             }
         });
 
+        // Share buttons copy the link of what is on screen
+        document.addEventListener('click', (e) => {
+            const btn = e.target.closest('.share-btn');
+            if (btn) copyShareLink(btn.dataset.share);
+        });
+
         // Create Tournament Events
-        document.getElementById('playerCount').addEventListener('change', (e) => {
+        document.getElementById('playerCount').addEventListener('input', (e) => {
             UI.generatePlayerInputs(parseInt(e.target.value));
         });
 
+        UI.elements.courtCount.addEventListener('input', () => UI.updateCourtInfo());
+        UI.elements.tournamentFormat.addEventListener('change', () => UI.updateFormatOptions());
+        UI.elements.plannedRounds.addEventListener('input', () => UI.updateFormatOptions());
+        UI.elements.tiebreakerList.addEventListener('click', (e) => {
+            const btn = e.target.closest('.move-up-btn');
+            if (btn) UI.moveTiebreakerUp(btn.closest('li'));
+        });
+        UI.elements.scoringMode.addEventListener('change', () => UI.updateScoringOptions());
+        UI.elements.sitOutCompensation.addEventListener('change', () => UI.updateSitOutOptions());
+
         UI.elements.createTournamentForm.addEventListener('submit', async (e) => {
             e.preventDefault();
             await handleCreateTournament();
         });
 
-        UI.elements.backFromCreateBtn.addEventListener('click', () => UI.showView('tournamentListView'));
-        UI.elements.backFromTournamentBtn.addEventListener('click', () => UI.showView('tournamentListView'));
+        UI.elements.backFromCreateBtn.addEventListener('click', () => Router.back({ name: Router.ROUTES.LIST }));
+        UI.elements.backFromTournamentBtn.addEventListener('click', () => Router.back({ name: Router.ROUTES.LIST }));
 
         // Prepopulate Event
         UI.elements.prepopulateBtn.addEventListener('click', () => {
@@ -73,7 +281,7 @@ const App = (function () {
         });
 
         UI.elements.prepopulateBtn2.addEventListener('click', () => {
-            UI.showView('createTournamentView');
+            Router.navigate({ name: Router.ROUTES.CREATE });
             UI.prepopulateForm();
             UI.showToast('Form prepopulated!', 'info');
         });
@@ -81,19 +289,23 @@ const App = (function () {
         // Active Tournament Events
         UI.elements.prevRoundBtn.addEventListener('click', () => {
             if (displayedRoundIndex > 0) {
-                displayedRoundIndex--;
-                updateActiveTournamentView();
+                showRound(displayedRoundIndex - 1);
             }
         });
 
         UI.elements.nextRoundBtn.addEventListener('click', () => {
             if (displayedRoundIndex < currentTournament.rounds.length - 1) {
-                displayedRoundIndex++;
-                updateActiveTournamentView();
+                showRound(displayedRoundIndex + 1);
             }
         });
 
         UI.elements.matchesContainer.addEventListener('click', (e) => {
+            const name = e.target.closest('.player-name');
+            if (name) {
+                openPlayerDetails(name.dataset.player);
+                return;
+            }
+
             const card = e.target.closest('.match-card');
             if (card) {
                 const matchId = parseInt(card.dataset.matchId);
@@ -108,44 +320,185 @@ const App = (function () {
             }
         });
 
+        // Match Timer Events
+        MatchTimer.setListener(UI.renderTimer);
+
+        UI.elements.timerStartBtn.addEventListener('click', () => {
+            if (MatchTimer.getState().running) {
+                MatchTimer.pause();
+            } else {
+                MatchTimer.start();
+            }
+        });
+
+        UI.elements.timerResetBtn.addEventListener('click', () => MatchTimer.reset());
+
         // Score Modal Events
         UI.elements.scoreSlider.addEventListener('input', (e) => UI.updateScoreModal(e.target.value));
         UI.elements.team1ScoreInput.addEventListener('input', (e) => UI.updateScoreModal(e.target.value));
 
-        document.querySelectorAll('.quick-score-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => UI.updateScoreModal(e.target.dataset.score));
+        UI.elements.quickScores.addEventListener('click', (e) => {
+            const btn = e.target.closest('.quick-score-btn');
+            if (btn) UI.updateScoreModal(btn.dataset.score);
         });
 
         UI.elements.confirmScoreBtn.addEventListener('click', handleConfirmScore);
+        UI.elements.regenerateRoundsBtn.addEventListener('click', () => saveScore({}));
+        UI.elements.keepRoundsBtn.addEventListener('click', () => saveScore({ keepLaterRounds: true }));
+        UI.elements.backToScoreBtn.addEventListener('click', () => UI.toggleRegeneratePreview(false));
         UI.elements.cancelScoreBtn.addEventListener('click', () => UI.toggleModal(UI.elements.scoreModal, false));
         UI.elements.closeScoreModal.addEventListener('click', () => UI.toggleModal(UI.elements.scoreModal, false));
 
         // FAB Events
         UI.elements.leaderboardFab.addEventListener('click', () => {
-            const rankings = Tournament.rankPlayers(currentTournament);
-            UI.renderLeaderboard(rankings);
-            UI.toggleModal(UI.elements.leaderboardModal, true);
+            Router.navigate({ name: Router.ROUTES.LEADERBOARD, date: currentTournament.tournamentDate });
         });
 
         UI.elements.nextRoundFab.addEventListener('click', handleNextRound);
 
-        UI.elements.closeLeaderboardModal.addEventListener('click', () => UI.toggleModal(UI.elements.leaderboardModal, false));
+        UI.elements.leaderboardBody.addEventListener('click', (e) => {
+            const row = e.target.closest('tr[data-player]');
+            if (row) openPlayerDetails(row.dataset.player);
+        });
+
+        UI.elements.closePlayerDetailModal.addEventListener('click', () => UI.toggleModal(UI.elements.playerDetailModal, false));
+
+        UI.elements.closeLeaderboardModal.addEventListener('click', () => {
+            Router.back({ name: Router.ROUTES.TOURNAMENT, date: currentTournament.tournamentDate });
+        });
+
+        // Schedule Events
+        UI.elements.scheduleBtn.addEventListener('click', () => {
+            UI.renderSchedule(currentTournament, Tournament.getActiveRoundIndex(currentTournament));
+            UI.toggleModal(UI.elements.scheduleModal, true);
+        });
+
+        UI.elements.closeScheduleModal.addEventListener('click', () => UI.toggleModal(UI.elements.scheduleModal, false));
+
+        // Manage Players Events
+        UI.elements.managePlayersBtn.addEventListener('click', () => {
+            if (!Tournament.canEdit(currentTournament)) {
+                UI.showToast('This tournament can no longer be edited', 'warning');
+                return;
+            }
+            UI.renderManagePlayers(currentTournament);
+            UI.toggleModal(UI.elements.managePlayersModal, true);
+        });
+
+        UI.elements.finishTournamentBtn.addEventListener('click', handleFinishTournament);
+        UI.elements.undoBtn.addEventListener('click', () => handleHistoryStep(false));
+        UI.elements.redoBtn.addEventListener('click', () => handleHistoryStep(true));
+
+        UI.elements.closeManagePlayersModal.addEventListener('click', () => UI.toggleModal(UI.elements.managePlayersModal, false));
+        UI.elements.manageAction.addEventListener('change', () => UI.updateManageAction());
+
+        UI.elements.managePlayersForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await handleManagePlayer();
+        });
+
+        // Season Events
+        UI.elements.seasonBtn.addEventListener('click', () => Router.navigate({ name: Router.ROUTES.SEASON }));
+        UI.elements.backFromSeasonBtn.addEventListener('click', () => Router.back({ name: Router.ROUTES.LIST }));
+        UI.elements.seasonFrom.addEventListener('change', renderSeason);
+        UI.elements.seasonTo.addEventListener('change', renderSeason);
+
+        UI.elements.seasonBody.addEventListener('click', (e) => {
+            const row = e.target.closest('tr[data-key]');
+            const player = row && seasonPlayers.find(p => p.key === row.dataset.key);
+            if (player) {
+                UI.renderProfile(player, seasonRatings[player.key]);
+                UI.toggleModal(UI.elements.profileModal, true);
+            }
+        });
+
+        UI.elements.closeProfileModal.addEventListener('click', () => UI.toggleModal(UI.elements.profileModal, false));
+
+        UI.elements.mergeNamesBtn.addEventListener('click', () => {
+            renderMergeNames();
+            UI.toggleModal(UI.elements.mergeNamesModal, true);
+        });
+
+        UI.elements.closeMergeNamesModal.addEventListener('click', () => UI.toggleModal(UI.elements.mergeNamesModal, false));
+
+        UI.elements.mergeNamesForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            try {
+                Season.addAlias(UI.elements.mergeVariant.value, UI.elements.mergeTarget.value);
+                renderSeason();
+                renderMergeNames();
+                UI.showToast('Names merged', 'success');
+            } catch (error) {
+                UI.showToast(error.message, 'warning');
+            }
+        });
+
+        UI.elements.aliasList.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-variant]');
+            if (!btn) return;
+            Season.removeAlias(btn.dataset.variant);
+            renderSeason();
+            renderMergeNames();
+        });
 
         // Settings Events
         UI.elements.settingsBtn.addEventListener('click', () => UI.toggleModal(UI.elements.settingsModal, true));
         UI.elements.closeSettingsModal.addEventListener('click', () => UI.toggleModal(UI.elements.settingsModal, false));
 
+        UI.elements.storageBackend.addEventListener('change', (e) => UI.showBackendSettings(e.target.value));
+
+        UI.elements.chooseFolderBtn.addEventListener('click', async () => {
+            try {
+                UI.setFolderName(await FolderStorage.chooseFolder());
+            } catch (error) {
+                if (error.name !== 'AbortError') {
+                    UI.showToast(`Error: ${error.message}`, 'error');
+                }
+            }
+        });
+
         UI.elements.settingsForm.addEventListener('submit', (e) => {
             e.preventDefault();
-            Config.saveGitHubConfig(
-                UI.elements.githubUser.value,
-                UI.elements.githubRepo.value,
-                UI.elements.githubPat.value
-            );
+            const backend = UI.elements.storageBackend.value;
+
+            if (backend === Config.BACKENDS.FOLDER && !FolderStorage.isReady()) {
+                UI.showToast('Please choose a tournaments folder', 'warning');
+                return;
+            }
+
+            Config.setStorageBackend(backend);
+            if (backend === Config.BACKENDS.GITHUB) {
+                Config.saveGitHubConfig(
+                    UI.elements.githubUser.value,
+                    UI.elements.githubRepo.value,
+                    UI.elements.githubPat.value
+                );
+            }
             UI.toggleModal(UI.elements.settingsModal, false);
             UI.showToast('Settings saved successfully', 'success');
             refreshTournamentList();
         });
+
+        // Export/Import Events
+        UI.elements.exportTournamentBtn.addEventListener('click', () => UI.toggleModal(UI.elements.exportModal, true));
+        UI.elements.closeExportModal.addEventListener('click', () => UI.toggleModal(UI.elements.exportModal, false));
+        UI.elements.exportMatchesBtn.addEventListener('click', () => handleExport(() => CsvExport.exportMatches(currentTournament)));
+        UI.elements.exportStandingsBtn.addEventListener('click', () => handleExport(() => CsvExport.exportStandings(currentTournament)));
+        UI.elements.exportSeasonBtn.addEventListener('click', handleExportSeason);
+        UI.elements.csvSeparator.addEventListener('change', handleCsvFormatChange);
+        UI.elements.csvDecimal.addEventListener('change', handleCsvFormatChange);
+
+        UI.elements.exportJsonBtn.addEventListener('click', () => {
+            Storage.exportTournament(currentTournament);
+            UI.toggleModal(UI.elements.exportModal, false);
+        });
+
+        UI.elements.importTournamentInput.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (!file) return;
+            await handleImportTournament(file);
+        });
     }
 
     /**
@@ -155,20 +508,49 @@ const App = (function () {
         UI.elements.githubUser.value = Config.getGitHubUser();
         UI.elements.githubRepo.value = Config.getGitHubRepo();
         UI.elements.githubPat.value = Config.getGitHubPAT();
+        UI.showBackendSettings(Config.getStorageBackend());
+        UI.setFolderName(FolderStorage.getFolderName());
+
+        const csvFormat = Config.getCsvFormat();
+        UI.elements.csvSeparator.value = csvFormat.separator;
+        UI.elements.csvDecimal.value = csvFormat.decimal;
+
+        // Hide the folder option where the browser cannot open folders
+        if (!FolderStorage.isSupported()) {
+            UI.elements.storageBackend.querySelector(`option[value="${Config.BACKENDS.FOLDER}"]`).disabled = true;
+        }
     }
 
     /**
-     * Refresh the list of tournaments from GitHub
+     * Refresh the list of tournaments from the storage backend
      */
     async function refreshTournamentList() {
         try {
-            const tournaments = await Storage.listTournaments();
+            const tournaments = await Sync.listTournaments();
             UI.renderTournamentList(tournaments);
+            loadTournamentCards(tournaments);
         } catch (error) {
             UI.showToast(`Failed to load tournaments: ${error.message}`, 'error');
         }
     }
 
+    /**
+     * Show status and winner on the tournament cards as each tournament loads
+     * @param {Array<Object>} tournaments - Tournament metadata from the list
+     */
+    async function loadTournamentCards(tournaments) {
+        // One at a time to stay well within API rate limits
+        for (const item of tournaments) {
+            try {
+                const tournament = await Sync.loadTournament(item.date);
+                if (tournament) UI.updateTournamentCard(tournament);
+            } catch (error) {
+                console.warn(`Could not load ${item.date} for the list:`, error);
+                if (TournamentSchema.isCorruptError(error)) UI.markTournamentCardCorrupt(item.date, error.message);
+            }
+        }
+    }
+
     /**
      * Handle creating a new tournament
      */
@@ -177,6 +559,21 @@ const App = (function () {
         const date = document.getElementById('tournamentDate').value;
         const description = document.getElementById('tournamentDescription').value;
         const playerNames = Array.from(document.querySelectorAll('.player-name-input')).map(input => input.value);
+        const options = {
+            format: UI.elements.tournamentFormat.value,
+            pairingStrategy: UI.elements.pairingStrategy.value,
+            pointsPerMatch: parseInt(UI.elements.pointsPerMatch.value),
+            scoringMode: UI.elements.scoringMode.value,
+            matchMinutes: parseFloat(UI.elements.matchMinutes.value),
+            courts: parseInt(UI.elements.courtCount.value) || undefined,
+            plannedRounds: parseInt(UI.elements.plannedRounds.value) || undefined,
+            finalRound: UI.elements.finalRound.value === 'top4',
+            tiebreakers: UI.getSelectedTiebreakers(),
+            sitOutCompensation: {
+                mode: UI.elements.sitOutCompensation.value,
+                points: parseFloat(UI.elements.sitOutPoints.value) || 0
+            }
+        };
 
         try {
             // Check if tournament already exists for this date
@@ -185,20 +582,33 @@ const App = (function () {
                 if (!confirm(`A tournament already exists for ${date}. Overwrite it?`)) return;
             }
 
-            // Create tournament object
-            const tournament = Tournament.createTournament(name, date, playerNames, description);
+            // Round 1 seeding (Americano always draws at random)
+            if (options.format !== Tournament.FORMATS.AMERICANO) {
+                const method = UI.elements.seeding.value;
+                options.seeding = {
+                    method: method,
+                    strengths: await getSeedingStrengths(method, date, playerNames)
+                };
+            }
 
-            // Randomize player order for fresh pairings
-            tournament.players = Pairing.shuffleArray(tournament.players);
+            // Create tournament object
+            const tournament = Tournament.createTournament(name, date, playerNames, description, options);
 
-            // Generate Round 1
-            const round1 = Pairing.generateNextRound(tournament);
-            tournament.rounds.push(round1);
+            if (Tournament.isAmericano(tournament)) {
+                // Americano: the whole schedule is known up front
+                tournament.rounds = Pairing.generateAmericanoRounds(tournament);
+            } else {
+                // Generate Round 1
+                const round1 = Pairing.generateNextRound(tournament);
+                tournament.rounds.push(round1);
+            }
 
-            // Save to GitHub
-            await Storage.saveTournament(tournament);
+            // Save to storage
+            currentTournament = tournament;
+            await saveCurrentTournament('Tournament started!');
 
-            UI.showToast('Tournament started!', 'success');
+            // The create form is left out of the history
+            Router.replace({ name: Router.ROUTES.TOURNAMENT, date: date });
             await openTournament(date);
 
         } catch (error) {
@@ -206,22 +616,173 @@ const App = (function () {
         }
     }
 
+    /**
+     * Get player strengths for rating or balanced seeding from earlier tournaments
+     * @returns {Promise<Object|undefined>} Map of player name to rating (rating) or
+     * points per game (balanced, newcomers get the average of known players)
+     */
+    async function getSeedingStrengths(method, date, playerNames) {
+        const methods = Pairing.SEEDING_METHODS;
+        if (method !== methods.RATING && method !== methods.BALANCED) return undefined;
+
+        const history = (await Season.loadTournaments()).filter(t => t.tournamentDate < date);
+        const names = playerNames.map(n => n.trim());
+        const strengths = {};
+
+        if (method === methods.RATING) {
+            const ratings = Rating.calculateRatings(history);
+            names.forEach(name => {
+                strengths[name] = Math.round(Rating.getRating(ratings, name) * 10) / 10;
+            });
+            return strengths;
+        }
+
+        const seasonStats = Season.calculateSeasonStats(history);
+        const known = [];
+        names.forEach(name => {
+            const key = Season.resolvePlayerKey(name, Config.getPlayerAliases());
+            const player = seasonStats.find(p => p.key === key && p.gamesPlayed > 0);
+            if (player) {
+                strengths[name] = Math.round(player.pointsPerGame * 100) / 100;
+                known.push(strengths[name]);
+            }
+        });
+
+        const average = known.length > 0 ? known.reduce((sum, ppg) => sum + ppg, 0) / known.length : 0;
+        names.forEach(name => {
+            if (strengths[name] === undefined) strengths[name] = Math.round(average * 100) / 100;
+        });
+        return strengths;
+    }
+
+    /**
+     * Run a CSV export, reporting problems such as a clashing separator and decimal mark
+     * @param {Function} exporter - Starts the download
+     */
+    function handleExport(exporter) {
+        try {
+            exporter();
+            UI.toggleModal(UI.elements.exportModal, false);
+        } catch (error) {
+            UI.showToast(`Export failed: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Export the standings of every tournament in storage as one CSV
+     */
+    async function handleExportSeason() {
+        try {
+            UI.showToast('Loading tournaments...', 'info');
+            const tournaments = await Season.loadTournaments();
+            if (tournaments.length === 0) {
+                UI.showToast('No tournaments to export', 'warning');
+                return;
+            }
+            CsvExport.exportSeason(tournaments);
+        } catch (error) {
+            UI.showToast(`Export failed: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Save the CSV separator and decimal mark chosen in Settings
+     */
+    function handleCsvFormatChange() {
+        const format = {
+            separator: UI.elements.csvSeparator.value,
+            decimal: UI.elements.csvDecimal.value
+        };
+
+        try {
+            CsvExport.validateFormat(format);
+            Config.setCsvFormat(format);
+            UI.showToast('CSV format saved', 'success');
+        } catch (error) {
+            UI.showToast(error.message, 'warning');
+        }
+    }
+
+    /**
+     * Handle importing a tournament JSON file
+     */
+    async function handleImportTournament(file) {
+        UI.renderImportReport(null);
+        try {
+            if (!MatchImport.isTournamentFile(await file.text())) {
+                await handleImportMatchRows(file);
+                return;
+            }
+
+            const tournament = await Storage.importTournament(file);
+            UI.toggleModal(UI.elements.settingsModal, false);
+            UI.showToast(`Imported tournament ${tournament.tournamentDate}`, 'success');
+            await refreshTournamentList();
+        } catch (error) {
+            UI.showToast(`Import failed: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Handle importing old MatchEntity records or a spreadsheet of matches.
+     * The settings stay open so the report of bad rows can be read.
+     */
+    async function handleImportMatchRows(file) {
+        const result = await MatchImport.importFile(file);
+        UI.renderImportReport(result);
+
+        if (result.imported.length > 0) {
+            UI.showToast(`Imported ${result.imported.length} tournament(s)`, result.errors.length > 0 ? 'warning' : 'success');
+            await refreshTournamentList();
+        } else {
+            UI.showToast('No tournaments imported', 'warning');
+        }
+    }
+
     /**
      * Open an existing tournament
+     * @param {string} date - Tournament date in YYYY-MM-DD format
+     * @returns {Promise<boolean>} True if the tournament was opened
      */
     async function openTournament(date) {
         try {
-            currentTournament = await Storage.loadTournament(date);
+            currentTournament = await Sync.loadTournament(date);
             if (!currentTournament) throw new Error('Tournament not found');
 
-            displayedRoundIndex = currentTournament.rounds.length - 1;
+            displayedRoundIndex = Tournament.getActiveRoundIndex(currentTournament);
+            UI.elements.scheduleBtn.classList.toggle('hidden', !Tournament.isAmericano(currentTournament));
             updateActiveTournamentView();
             UI.showView('activeTournamentView');
+            return true;
         } catch (error) {
             UI.showToast(`Failed to open tournament: ${error.message}`, 'error');
+            return false;
         }
     }
 
+    /**
+     * Show the create form with today's date
+     */
+    function showCreateForm() {
+        const today = new Date().toISOString().split('T')[0];
+        document.getElementById('tournamentDate').value = today;
+        UI.generatePlayerInputs(parseInt(document.getElementById('playerCount').value));
+        UI.showView('createTournamentView');
+    }
+
+    /**
+     * Show another round of the open tournament with a history entry,
+     * so the back button returns to the round shown before
+     * @param {number} roundIndex - 0-based index of the round
+     */
+    function showRound(roundIndex) {
+        Router.navigate({
+            name: Router.ROUTES.TOURNAMENT,
+            date: currentTournament.tournamentDate,
+            round: roundIndex + 1
+        });
+    }
+
     /**
      * Update the active tournament view based on state
      */
@@ -236,7 +797,43 @@ const App = (function () {
         UI.elements.prevRoundBtn.disabled = displayedRoundIndex === 0;
         UI.elements.nextRoundBtn.disabled = displayedRoundIndex === currentTournament.rounds.length - 1;
 
-        UI.renderMatches(round, canEdit, rankings);
+        const scoring = Tournament.getScoringRules(currentTournament);
+        UI.renderMatches(round, canEdit, rankings, {
+            scoring: scoring,
+            generatesRounds: Tournament.canStartNextRound(currentTournament),
+            plannedRoundCount: Tournament.getPlannedRoundCount(currentTournament)
+        });
+        UI.renderTournamentState(currentTournament);
+        UI.renderHistoryControls(currentTournament);
+
+        // Keep the round in the URL so it can be bookmarked (other round changes don't add history)
+        if (Router.current().name === Router.ROUTES.TOURNAMENT) {
+            Router.replace({
+                name: Router.ROUTES.TOURNAMENT,
+                date: currentTournament.tournamentDate,
+                round: displayedRoundIndex + 1
+            });
+        }
+
+        // Timed matches: one countdown shared by all courts
+        UI.toggleTimerBar(Tournament.isTimed(scoring));
+        if (Tournament.isTimed(scoring)) {
+            MatchTimer.configure(scoring.matchMinutes);
+            UI.renderTimer(MatchTimer.getState());
+        }
+    }
+
+    /**
+     * Show the statistics sheet of a player in the open tournament
+     * @param {string} player - Player name
+     */
+    function openPlayerDetails(player) {
+        try {
+            UI.renderPlayerDetails(Tournament.getPlayerDetails(currentTournament, player));
+            UI.toggleModal(UI.elements.playerDetailModal, true);
+        } catch (error) {
+            UI.showToast(error.message, 'error');
+        }
     }
 
     /**
@@ -252,19 +849,18 @@ const App = (function () {
         const round = currentTournament.rounds.find(r => r.roundNumber === roundNum);
         const match = round.matches.find(m => m.id === matchId);
 
-        UI.showScoreModal(match);
+        UI.showScoreModal(match, Tournament.getScoringRules(currentTournament));
     }
 
     /**
-     * Handle score confirmation
+     * Handle score confirmation; a previous-round edit shows what it would regenerate first
      */
-    async function handleConfirmScore() {
+    function handleConfirmScore() {
         const team1Score = parseInt(UI.elements.team1ScoreInput.value);
         const team2Score = parseInt(UI.elements.team2ScoreInput.value);
 
         try {
-            // Update tournament state
-            Tournament.updateMatchScore(
+            const preview = Tournament.previewScoreChange(
                 currentTournament,
                 activeRoundNum,
                 activeMatchId,
@@ -272,11 +868,38 @@ const App = (function () {
                 team2Score
             );
 
-            // Save to GitHub
-            await Storage.saveTournament(currentTournament);
+            if (preview.discardsRounds) {
+                UI.showRegeneratePreview(preview, activeRoundNum, Tournament.getScoringRules(currentTournament));
+                return;
+            }
+        } catch (error) {
+            UI.showToast(`Error saving score: ${error.message}`, 'error');
+            return;
+        }
+
+        saveScore({});
+    }
+
+    /**
+     * Apply the score from the score modal
+     * @param {Object} options - Passed to Tournament.updateMatchScore ({ keepLaterRounds })
+     */
+    async function saveScore(options) {
+        const team1Score = parseInt(UI.elements.team1ScoreInput.value);
+        const team2Score = parseInt(UI.elements.team2ScoreInput.value);
+
+        try {
+            // Update tournament state
+            Tournament.updateMatchScore(
+                currentTournament,
+                activeRoundNum,
+                activeMatchId,
+                team1Score,
+                team2Score,
+                options
+            );
 
             UI.toggleModal(UI.elements.scoreModal, false);
-            UI.showToast('Score saved', 'success');
 
             // If we edited a previous round, displayedRoundIndex might be invalidated
             if (activeRoundNum < currentTournament.rounds.length) {
@@ -286,6 +909,9 @@ const App = (function () {
 
             updateActiveTournamentView();
 
+            // Score is shown right away; storage catches up via the queue
+            await saveCurrentTournament('Score saved');
+
         } catch (error) {
             UI.showToast(`Error saving score: ${error.message}`, 'error');
         }
@@ -298,32 +924,152 @@ const App = (function () {
         try {
             // Check if current round (last one) is complete
             const lastRound = currentTournament.rounds[currentTournament.rounds.length - 1];
-            if (!Tournament.isRoundComplete(lastRound)) {
+            if (!Tournament.isRoundComplete(lastRound, Tournament.getScoringRules(currentTournament))) {
                 UI.showToast('Please complete all matches in the current round', 'warning');
                 return;
             }
 
-            // Confirm generation
-            if (!confirm('Start the next round? Pairings will be based on current rankings.')) return;
-
-            // Generate next round
+            // Generate next round, then confirm it
             const nextRound = Pairing.generateNextRound(currentTournament);
+            if (!nextRound) {
+                UI.showToast('All planned rounds have been played', 'warning');
+                return;
+            }
+            const avoided = nextRound.pairing ? nextRound.pairing.repeatsAvoided : 0;
+            const avoidedText = avoided > 0
+                ? `\n${avoided} repeat ${avoided === 1 ? 'partner/opponent' : 'partners/opponents'} avoided compared with standard pairing.`
+                : '';
+            const question = nextRound.isFinal
+                ? 'Start the final? The top 4 play for the title.'
+                : `Start Round ${nextRound.roundNumber}? Pairings will be based on current rankings.`;
+            if (!confirm(`${question}${avoidedText}`)) return;
+
             currentTournament.rounds.push(nextRound);
+            ActionLog.recordRound(currentTournament, nextRound,
+                nextRound.isFinal ? 'Generate the final' : `Generate round ${nextRound.roundNumber}`);
+
+            // Move view to next round with a fresh match timer
+            MatchTimer.reset();
+            showRound(currentTournament.rounds.length - 1);
+
+            // Save to storage
+            const repeats = nextRound.pairing ? nextRound.pairing.repeatPartnerships : 0;
+            await saveCurrentTournament(`Round ${nextRound.roundNumber} generated!` +
+                (repeats > 0 ? ` (${repeats} repeat ${repeats === 1 ? 'partnership' : 'partnerships'})` : ''));
+
+        } catch (error) {
+            UI.showToast(`Error: ${error.message}`, 'error');
+        }
+    }
 
-            // Save to GitHub
-            await Storage.saveTournament(currentTournament);
+    /**
+     * Undo or redo the last score entry or round generation
+     * @param {boolean} forward - True to redo, false to undo
+     */
+    async function handleHistoryStep(forward) {
+        try {
+            const entry = forward ? ActionLog.redo(currentTournament) : ActionLog.undo(currentTournament);
+
+            // Show the round the action was about, or the last one left
+            displayedRoundIndex = Math.min(entry.fromRound - 1, currentTournament.rounds.length - 1);
+            updateActiveTournamentView();
 
-            UI.showToast(`Round ${nextRound.roundNumber} generated!`, 'success');
+            await saveCurrentTournament(`${forward ? 'Redone' : 'Undone'}: ${entry.label}`);
+        } catch (error) {
+            UI.showToast(`Error: ${error.message}`, 'error');
+        }
+    }
 
-            // Move view to next round
-            displayedRoundIndex = currentTournament.rounds.length - 1;
+    /**
+     * Handle finishing the tournament: lock scores and record the winner
+     */
+    async function handleFinishTournament() {
+        const planned = Tournament.getPlannedRoundCount(currentTournament);
+        const played = currentTournament.rounds.length;
+        const remainingText = planned !== null && played < planned
+            ? ` Only ${played} of ${planned} planned rounds have been played.`
+            : '';
+        if (!confirm(`Finish the tournament?${remainingText} Scores can no longer be changed afterwards.`)) return;
+
+        try {
+            Tournament.finishTournament(currentTournament);
             updateActiveTournamentView();
+            await saveCurrentTournament(`Tournament finished! Winner: ${currentTournament.winner}`);
+        } catch (error) {
+            UI.showToast(`Error: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Handle a substitution or withdrawal from the manage players form
+     */
+    async function handleManagePlayer() {
+        const player = UI.elements.managePlayer.value;
+        const action = UI.elements.manageAction.value;
+        let message;
 
+        try {
+            if (action === Tournament.EVENT_TYPES.SUBSTITUTE) {
+                const name = UI.elements.substituteName.value;
+                const inherit = UI.elements.substitutePoints.value === 'inherit';
+                Tournament.substitutePlayer(currentTournament, player, name, inherit);
+                message = `${player} replaced`;
+            } else if (action === Tournament.EVENT_TYPES.JOIN) {
+                const name = UI.elements.newPlayerName.value;
+                Tournament.addPlayer(
+                    currentTournament,
+                    name,
+                    UI.elements.startingScore.value,
+                    parseInt(UI.elements.newPlayerCourts.value) || undefined
+                );
+                message = `${name.trim()} added from the next round`;
+            } else {
+                if (!confirm(`Withdraw ${player}? Their results stay in the standings.`)) return;
+                Tournament.withdrawPlayer(currentTournament, player);
+                message = `${player} withdrawn`;
+            }
+
+            UI.toggleModal(UI.elements.managePlayersModal, false);
+            updateActiveTournamentView();
+            await saveCurrentTournament(message);
         } catch (error) {
             UI.showToast(`Error: ${error.message}`, 'error');
         }
     }
 
+    /**
+     * Load all tournaments and show the season leaderboard
+     */
+    async function openSeason() {
+        try {
+            UI.showView('seasonView');
+            UI.elements.seasonInfo.textContent = 'Loading tournaments...';
+            seasonTournaments = await Season.loadTournaments();
+            renderSeason();
+        } catch (error) {
+            UI.showToast(`Failed to load season: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Recalculate the season leaderboard for the selected date range
+     */
+    function renderSeason() {
+        const from = UI.elements.seasonFrom.value;
+        const to = UI.elements.seasonTo.value;
+        const nightCount = Season.filterByDateRange(seasonTournaments, from, to).length;
+
+        seasonPlayers = Season.calculateSeasonStats(seasonTournaments, { from, to });
+        // Ratings build up from the first tournament, as they stood at the end of the range
+        seasonRatings = Rating.calculateRatings(Season.filterByDateRange(seasonTournaments, '', to));
+        UI.renderSeason(seasonPlayers, nightCount, seasonRatings);
+    }
+
+    function renderMergeNames() {
+        const names = seasonPlayers.map(p => p.name).sort((a, b) => a.localeCompare(b));
+        UI.renderMergeNames(names, Config.getPlayerAliases());
+    }
+
     // Public API
     return {
         init
@@ -8,13 +8,27 @@ const Config = (function () {
     const STORAGE_KEYS = {
         GITHUB_USER: 'mexicano_github_user',
         GITHUB_REPO: 'mexicano_github_repo',
-        GITHUB_PAT: 'mexicano_github_pat'
+        GITHUB_PAT: 'mexicano_github_pat',
+        STORAGE_BACKEND: 'mexicano_storage_backend',
+        PLAYER_ALIASES: 'mexicano_player_aliases',
+        CSV_SEPARATOR: 'mexicano_csv_separator',
+        CSV_DECIMAL: 'mexicano_csv_decimal'
+    };
+
+    // Available storage backends
+    const BACKENDS = {
+        GITHUB: 'github',
+        INDEXEDDB: 'indexeddb',
+        FOLDER: 'folder'
     };
 
     // Default settings
     const DEFAULTS = {
         BRANCH: 'main',
-        TOURNAMENTS_PATH: 'tournaments'
+        TOURNAMENTS_PATH: 'tournaments',
+        STORAGE_BACKEND: BACKENDS.GITHUB,
+        CSV_SEPARATOR: ',',
+        CSV_DECIMAL: '.'
     };
 
     // GitHub API base URL
@@ -110,6 +124,63 @@ const Config = (function () {
         localStorage.removeItem(STORAGE_KEYS.GITHUB_PAT);
     }
 
+    /**
+     * Get the selected storage backend (defaults to GitHub)
+     */
+    function getStorageBackend() {
+        const backend = localStorage.getItem(STORAGE_KEYS.STORAGE_BACKEND);
+        return Object.values(BACKENDS).includes(backend) ? backend : DEFAULTS.STORAGE_BACKEND;
+    }
+
+    /**
+     * Set the storage backend
+     */
+    function setStorageBackend(backend) {
+        if (!Object.values(BACKENDS).includes(backend)) {
+            throw new Error(`Unknown storage backend: ${backend}`);
+        }
+        localStorage.setItem(STORAGE_KEYS.STORAGE_BACKEND, backend);
+    }
+
+    /**
+     * Get player name aliases used by the season view
+     * @returns {Object} Map of normalized name variant to the player name it merges into
+     */
+    function getPlayerAliases() {
+        try {
+            return JSON.parse(localStorage.getItem(STORAGE_KEYS.PLAYER_ALIASES)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * Set player name aliases
+     */
+    function setPlayerAliases(aliases) {
+        localStorage.setItem(STORAGE_KEYS.PLAYER_ALIASES, JSON.stringify(aliases));
+    }
+
+    /**
+     * Get the CSV export format
+     * @returns {Object} { separator, decimal } (e.g. ';' and ',' for European Excel)
+     */
+    function getCsvFormat() {
+        return {
+            separator: localStorage.getItem(STORAGE_KEYS.CSV_SEPARATOR) || DEFAULTS.CSV_SEPARATOR,
+            decimal: localStorage.getItem(STORAGE_KEYS.CSV_DECIMAL) || DEFAULTS.CSV_DECIMAL
+        };
+    }
+
+    /**
+     * Set the CSV export format
+     * @param {Object} format - { separator, decimal }
+     */
+    function setCsvFormat(format) {
+        localStorage.setItem(STORAGE_KEYS.CSV_SEPARATOR, format.separator);
+        localStorage.setItem(STORAGE_KEYS.CSV_DECIMAL, format.decimal);
+    }
+
     /**
      * Get the GitHub API URL for repository contents
      */
@@ -147,9 +218,16 @@ const Config = (function () {
         isConfigured,
         saveGitHubConfig,
         clearConfig,
+        getStorageBackend,
+        setStorageBackend,
+        getPlayerAliases,
+        setPlayerAliases,
+        getCsvFormat,
+        setCsvFormat,
         getContentsUrl,
         getTournamentsPath,
         getTournamentFilePath,
-        GITHUB_API_BASE
+        GITHUB_API_BASE,
+        BACKENDS
     };
 })();
@@ -0,0 +1,177 @@
+/**
+ * Export module for Mexicano Tournament
+ * CSV exports of matches, standings and the whole season for spreadsheets
+ */
+
+const CsvExport = (function () {
+    const SEPARATORS = [',', ';', '\t'];
+    const DECIMALS = ['.', ','];
+
+    // Byte order mark so Excel opens the file as UTF-8 (accented names)
+    const BOM = '\uFEFF';
+
+    /**
+     * Check a CSV format: a comma decimal needs another separator
+     * @param {Object} format - { separator, decimal }
+     */
+    function validateFormat(format) {
+        if (!SEPARATORS.includes(format.separator)) {
+            throw new Error(`Unsupported CSV separator: ${format.separator}`);
+        }
+        if (!DECIMALS.includes(format.decimal)) {
+            throw new Error(`Unsupported decimal mark: ${format.decimal}`);
+        }
+        if (format.separator === format.decimal) {
+            throw new Error('The separator and the decimal mark must be different');
+        }
+    }
+
+    /**
+     * Format one cell: numbers get the decimal mark (at most 2 decimals),
+     * text is quoted when it contains the separator, quotes or line breaks
+     */
+    function formatCell(value, format) {
+        if (value === null || value === undefined) return '';
+
+        if (typeof value === 'number') {
+            return String(Math.round(value * 100) / 100).replace('.', format.decimal);
+        }
+
+        const text = String(value);
+        if (text.includes(format.separator) || /["\r\n]/.test(text)) {
+            return `"${text.replace(/"/g, '""')}"`;
+        }
+        return text;
+    }
+
+    /**
+     * Turn rows of values into CSV text
+     * @param {Array<Array>} rows - Header row followed by data rows
+     * @param {Object} format - { separator, decimal } (defaults to the saved format)
+     * @returns {string} CSV text
+     */
+    function toCsv(rows, format = Config.getCsvFormat()) {
+        validateFormat(format);
+        return rows.map(row => row.map(value => formatCell(value, format)).join(format.separator)).join('\r\n');
+    }
+
+    /**
+     * One row per match
+     * @param {Object} tournament - Tournament data object
+     * @returns {Array<Array>} Rows including the header
+     */
+    function getMatchRows(tournament) {
+        const scoring = Tournament.getScoringRules(tournament);
+        const rows = [['Round', 'Court', 'Team 1 Player 1', 'Team 1 Player 2', 'Team 2 Player 1', 'Team 2 Player 2', 'Team 1 Score', 'Team 2 Score']];
+
+        tournament.rounds.forEach(round => {
+            round.matches.forEach((match, index) => {
+                const complete = Tournament.isMatchComplete(match, scoring);
+                rows.push([
+                    round.roundNumber,
+                    match.court || index + 1,
+                    match.team1Player1,
+                    match.team1Player2,
+                    match.team2Player1,
+                    match.team2Player2,
+                    complete ? match.team1Score : null,
+                    complete ? match.team2Score : null
+                ]);
+            });
+        });
+
+        return rows;
+    }
+
+    const STANDINGS_HEADER = ['Rank', 'Player', 'Points', 'Wins', 'Draws', 'Losses', 'Games', 'Points Per Game',
+        'Win %', 'Point Difference', 'Sit-outs'];
+
+    function standingsRow(player) {
+        return [
+            player.rank,
+            player.name,
+            player.totalPoints,
+            player.wins,
+            player.draws,
+            player.losses,
+            player.gamesPlayed,
+            player.pointsPerGame,
+            player.winPercentage,
+            player.pointDifferential,
+            player.sitOuts
+        ];
+    }
+
+    /**
+     * Standings in Tournament.rankPlayers order
+     * @param {Object} tournament - Tournament data object
+     * @returns {Array<Array>} Rows including the header
+     */
+    function getStandingsRows(tournament) {
+        return [STANDINGS_HEADER, ...Tournament.rankPlayers(tournament).map(standingsRow)];
+    }
+
+    /**
+     * Standings of every night, one row per player per night
+     * @param {Array<Object>} tournaments - Tournament data objects
+     * @returns {Array<Array>} Rows including the header
+     */
+    function getSeasonRows(tournaments) {
+        const rows = [['Date', 'Tournament', ...STANDINGS_HEADER]];
+
+        [...tournaments]
+            .sort((a, b) => a.tournamentDate.localeCompare(b.tournamentDate))
+            .forEach(tournament => {
+                Tournament.rankPlayers(tournament).forEach(player => {
+                    rows.push([tournament.tournamentDate, tournament.name, ...standingsRow(player)]);
+                });
+            });
+
+        return rows;
+    }
+
+    /**
+     * Let the browser download CSV text
+     * @param {string} filename - File name
+     * @param {string} csv - CSV text
+     */
+    function download(filename, csv) {
+        const blob = new Blob([BOM + csv], { type: 'text/csv;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        URL.revokeObjectURL(url);
+    }
+
+    function exportMatches(tournament) {
+        download(`${tournament.tournamentDate}-matches.csv`, toCsv(getMatchRows(tournament)));
+    }
+
+    function exportStandings(tournament) {
+        download(`${tournament.tournamentDate}-standings.csv`, toCsv(getStandingsRows(tournament)));
+    }
+
+    function exportSeason(tournaments) {
+        download('season-standings.csv', toCsv(getSeasonRows(tournaments)));
+    }
+
+    // Public API
+    return {
+        SEPARATORS,
+        DECIMALS,
+        validateFormat,
+        toCsv,
+        getMatchRows,
+        getStandingsRows,
+        getSeasonRows,
+        exportMatches,
+        exportStandings,
+        exportSeason
+    };
+})();
@@ -0,0 +1,246 @@
+/**
+ * History module for Mexicano Tournament
+ * Undo/redo log of score entries and round generation, stored with the
+ * tournament so rounds discarded by an old-round edit can be brought back.
+ * Entries keep only what changed; whole rounds only when rounds were discarded.
+ */
+
+const ActionLog = (function () {
+    const TYPES = {
+        SCORE_SET: 'score-set',
+        SCORE_CHANGED: 'score-changed',
+        ROUND_GENERATED: 'round-generated',
+        ROUNDS_DISCARDED: 'rounds-discarded'
+    };
+
+    // Oldest entries are dropped beyond this to keep tournament files small
+    const MAX_ENTRIES = 100;
+
+    function clone(value) {
+        return JSON.parse(JSON.stringify(value));
+    }
+
+    /**
+     * Get the log of a tournament, creating it if missing
+     * @param {Object} tournament - Tournament object
+     * @returns {Object} { entries, position } where position is the number of applied entries
+     */
+    function getLog(tournament) {
+        if (!tournament.actionLog) {
+            tournament.actionLog = { entries: [], position: 0 };
+        }
+        return tournament.actionLog;
+    }
+
+    /**
+     * Take a copy of the rounds an action is about to change
+     * @param {Object} tournament - Tournament object
+     * @param {number} fromRound - First round (1-based) the action can change
+     * @returns {Array<Object>} Copy of the rounds from fromRound onwards
+     */
+    function snapshot(tournament, fromRound) {
+        return clone(tournament.rounds.slice(fromRound - 1));
+    }
+
+    /**
+     * Add an action that has just been applied.
+     * Any undone entries are dropped, as with a text editor.
+     */
+    function push(tournament, entry) {
+        const log = getLog(tournament);
+        entry.createdAt = new Date().toISOString();
+
+        log.entries = log.entries.slice(0, log.position);
+        log.entries.push(entry);
+        if (log.entries.length > MAX_ENTRIES) {
+            log.entries = log.entries.slice(-MAX_ENTRIES);
+        }
+        log.position = log.entries.length;
+
+        return entry;
+    }
+
+    /**
+     * Record a score entry that left the other rounds alone (only the score is kept)
+     * @param {Object} tournament - Tournament object
+     * @param {string} type - TYPES.SCORE_SET or TYPES.SCORE_CHANGED
+     * @param {number} roundNumber - Round of the match
+     * @param {Object} match - Match after the change
+     * @param {Array<number|null>} before - [team1Score, team2Score] before the change
+     * @param {string} label - Short description shown in the undo/redo controls
+     * @returns {Object} The new log entry
+     */
+    function recordScore(tournament, type, roundNumber, match, before, label) {
+        return push(tournament, {
+            type: type,
+            label: label,
+            fromRound: roundNumber,
+            matchId: match.id,
+            before: before,
+            after: [match.team1Score, match.team2Score]
+        });
+    }
+
+    /**
+     * Record a round added at the end of the tournament
+     * @param {Object} tournament - Tournament object
+     * @param {Object} round - The new round
+     * @param {string} label - Short description shown in the undo/redo controls
+     * @returns {Object} The new log entry
+     */
+    function recordRound(tournament, round, label) {
+        return push(tournament, {
+            type: TYPES.ROUND_GENERATED,
+            label: label,
+            fromRound: round.roundNumber,
+            round: clone(round)
+        });
+    }
+
+    /**
+     * Record a previous-round edit that replaced the later rounds.
+     * The only entry holding whole rounds, so the discarded ones can be brought back.
+     * @param {Object} tournament - Tournament object
+     * @param {number} fromRound - Edited round
+     * @param {Array<Object>} before - snapshot(tournament, fromRound) taken before the edit
+     * @param {string} label - Short description shown in the undo/redo controls
+     * @returns {Object} The new log entry
+     */
+    function recordRoundsDiscarded(tournament, fromRound, before, label) {
+        return push(tournament, {
+            type: TYPES.ROUNDS_DISCARDED,
+            label: label,
+            fromRound: fromRound,
+            before: before,
+            after: snapshot(tournament, fromRound)
+        });
+    }
+
+    /**
+     * Forget the undone actions, e.g. after a player change: redoing them would
+     * bring back rounds made for the old line-up. Earlier entries stay; the ones
+     * the change made stale are refused by the line-up check.
+     * @param {Object} tournament - Tournament object
+     */
+    function dropRedo(tournament) {
+        const log = tournament.actionLog;
+        if (log) {
+            log.entries = log.entries.slice(0, log.position);
+        }
+    }
+
+    // Match ids and player slots: what an entry must still find to be reversed
+    function lineup(rounds) {
+        return rounds.map(r => r.matches.map(m =>
+            [m.id, m.team1Player1, m.team1Player2, m.team2Player1, m.team2Player2].join(':')).join(',')).join('|');
+    }
+
+    function refuse() {
+        throw new Error('The rounds have changed since this action, so it cannot be reversed');
+    }
+
+    /**
+     * Apply one side of an entry, refusing if the rounds no longer look like
+     * the other side (e.g. after a merge from another device)
+     * @param {boolean} forward - True to redo the entry, false to undo it
+     */
+    function apply(tournament, entry, forward) {
+        const kept = entry.fromRound - 1;
+
+        if (entry.type === TYPES.ROUND_GENERATED) {
+            const last = tournament.rounds[tournament.rounds.length - 1];
+            if (forward) {
+                if (tournament.rounds.length !== kept) refuse();
+                tournament.rounds.push(clone(entry.round));
+            } else {
+                if (tournament.rounds.length !== entry.fromRound || lineup([last]) !== lineup([entry.round])) refuse();
+                tournament.rounds.pop();
+            }
+        } else if (entry.type === TYPES.ROUNDS_DISCARDED) {
+            const [expected, rounds] = forward ? [entry.before, entry.after] : [entry.after, entry.before];
+            if (tournament.rounds.length < kept || lineup(tournament.rounds.slice(kept)) !== lineup(expected)) refuse();
+            tournament.rounds = tournament.rounds.slice(0, kept).concat(clone(rounds));
+        } else {
+            const [expected, score] = forward ? [entry.before, entry.after] : [entry.after, entry.before];
+            const round = tournament.rounds[kept];
+            const match = round && round.matches.find(m => m.id === entry.matchId);
+            if (!match || match.team1Score !== expected[0] || match.team2Score !== expected[1]) refuse();
+            match.team1Score = score[0];
+            match.team2Score = score[1];
+        }
+
+        tournament.updatedAt = new Date().toISOString();
+    }
+
+    function canUndo(tournament) {
+        return Boolean(tournament.actionLog) && tournament.actionLog.position > 0;
+    }
+
+    function canRedo(tournament) {
+        return Boolean(tournament.actionLog) && tournament.actionLog.position < tournament.actionLog.entries.length;
+    }
+
+    /**
+     * Step back one action
+     * @param {Object} tournament - Tournament object
+     * @returns {Object} The entry that was undone
+     */
+    function undo(tournament) {
+        if (!canUndo(tournament)) {
+            throw new Error('Nothing to undo');
+        }
+
+        const log = tournament.actionLog;
+        const entry = log.entries[log.position - 1];
+        apply(tournament, entry, false);
+        log.position--;
+
+        return entry;
+    }
+
+    /**
+     * Re-apply the last undone action
+     * @param {Object} tournament - Tournament object
+     * @returns {Object} The entry that was redone
+     */
+    function redo(tournament) {
+        if (!canRedo(tournament)) {
+            throw new Error('Nothing to redo');
+        }
+
+        const log = tournament.actionLog;
+        const entry = log.entries[log.position];
+        apply(tournament, entry, true);
+        log.position++;
+
+        return entry;
+    }
+
+    /**
+     * Describe what undo and redo would do
+     * @param {Object} tournament - Tournament object
+     * @returns {Object} { undo, redo } labels, null when not available
+     */
+    function getLabels(tournament) {
+        const log = tournament.actionLog;
+        return {
+            undo: canUndo(tournament) ? log.entries[log.position - 1].label : null,
+            redo: canRedo(tournament) ? log.entries[log.position].label : null
+        };
+    }
+
+    // Public API
+    return {
+        TYPES,
+        snapshot,
+        recordScore,
+        recordRound,
+        recordRoundsDiscarded,
+        dropRedo,
+        canUndo,
+        canRedo,
+        undo,
+        redo,
+        getLabels
+    };
+})();
@@ -0,0 +1,431 @@
+/**
+ * Import module for Mexicano Tournament
+ * Rebuilds tournaments from match rows: the MatchEntity records of the old
+ * table storage (JSON or CSV) and spreadsheets with one row per match
+ */
+
+const MatchImport = (function () {
+    // Normalised column name (lower case, letters and digits only) to match field
+    const COLUMNS = {
+        rowkey: 'rowKey',
+        date: 'date',
+        tournamentdate: 'date',
+        round: 'roundNumber',
+        roundnumber: 'roundNumber',
+        match: 'matchId',
+        matchid: 'matchId',
+        court: 'court',
+        team1player1: 'team1Player1',
+        team1player1name: 'team1Player1',
+        team1player2: 'team1Player2',
+        team1player2name: 'team1Player2',
+        team2player1: 'team2Player1',
+        team2player1name: 'team2Player1',
+        team2player2: 'team2Player2',
+        team2player2name: 'team2Player2',
+        team1score: 'team1Score',
+        team2score: 'team2Score'
+    };
+
+    const PLAYER_FIELDS = ['team1Player1', 'team1Player2', 'team2Player1', 'team2Player2'];
+
+    const DATE_PATTERN = /\d{4}-\d{2}-\d{2}/;
+
+    /**
+     * Split CSV text into rows of cells; the separator (comma, semicolon or tab)
+     * is the one found most often in the header line
+     */
+    function parseCsv(text) {
+        const header = text.split(/\r?\n/, 1)[0];
+        const separator = [',', ';', '\t']
+            .map(s => ({ s, count: header.split(s).length }))
+            .sort((a, b) => b.count - a.count)[0].s;
+
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === separator) {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        if (cell !== '' || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+
+        return rows;
+    }
+
+    /**
+     * Turn a file's text into raw records keyed by match field
+     * @returns {Array<Object>} { where, fields } where `where` names the line or entry for error messages
+     */
+    function readRecords(text) {
+        const mapFields = (source) => {
+            const fields = {};
+            Object.keys(source).forEach(key => {
+                const field = COLUMNS[key.toLowerCase().replace(/[^a-z0-9]/g, '')];
+                if (field) fields[field] = source[key];
+            });
+            return fields;
+        };
+
+        const trimmed = text.replace(/^\uFEFF/, '').trim();
+
+        // Table storage exports: an array of entities, or { value: [...] } from the REST API
+        if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+            let data;
+            try {
+                data = JSON.parse(trimmed);
+            } catch (error) {
+                throw new Error('The file is not valid JSON');
+            }
+            const entities = Array.isArray(data) ? data : data.value;
+            if (!Array.isArray(entities)) {
+                throw new Error('Expected a list of match records');
+            }
+            return entities.map((entity, index) => ({ where: `Entry ${index + 1}`, fields: mapFields(entity || {}) }));
+        }
+
+        const rows = parseCsv(trimmed);
+        const header = rows.shift() || [];
+        return rows
+            .map((cells, index) => ({ where: `Line ${index + 2}`, cells }))
+            .filter(row => row.cells.some(cell => cell.trim() !== ''))
+            .map(row => {
+                const source = {};
+                header.forEach((name, i) => { source[name] = row.cells[i]; });
+                return { where: row.where, fields: mapFields(source) };
+            });
+    }
+
+    function isBlank(value) {
+        return value === null || value === undefined || String(value).trim() === '';
+    }
+
+    function toWholeNumber(value) {
+        const text = String(value).trim();
+        return /^\d+$/.test(text) ? parseInt(text) : NaN;
+    }
+
+    // Old rowKey: "{date}_{matchId}"
+    function parseRowKey(fields) {
+        if (isBlank(fields.rowKey)) return null;
+        const key = String(fields.rowKey).trim().match(/^(\d{4}-\d{2}-\d{2})_(\d+)$/);
+        if (!key) {
+            throw new Error(`Row key "${fields.rowKey}" is not "{date}_{matchId}"`);
+        }
+        return { date: key[1], matchId: parseInt(key[2]) };
+    }
+
+    /**
+     * Get the tournament date of a record
+     * @param {Object} fields - Raw fields from readRecords
+     * @param {string|null} fallbackDate - Date for rows without one (from the file name)
+     * @returns {string} Date in YYYY-MM-DD format
+     */
+    function getRowDate(fields, fallbackDate) {
+        const key = parseRowKey(fields);
+        const date = isBlank(fields.date) ? (key ? key.date : fallbackDate) : String(fields.date).trim();
+        if (!date) {
+            throw new Error('No tournament date');
+        }
+        if (!new RegExp(`^${DATE_PATTERN.source}$`).test(date) || isNaN(new Date(date))) {
+            throw new Error(`"${date}" is not a YYYY-MM-DD date`);
+        }
+        return date;
+    }
+
+    /**
+     * Check one record and convert it to a match row
+     * @param {Object} fields - Raw fields from readRecords
+     * @param {string} date - Date from getRowDate
+     * @returns {Object} { date, roundNumber, matchId, court, team1Player1..team2Player2, team1Score, team2Score }
+     */
+    function toMatchRow(fields, date) {
+        const key = parseRowKey(fields);
+        const row = { date: date };
+
+        row.roundNumber = toWholeNumber(fields.roundNumber);
+        if (!(row.roundNumber >= 1)) {
+            throw new Error(`Round "${fields.roundNumber ?? ''}" is not a round number`);
+        }
+
+        row.matchId = isBlank(fields.matchId) ? (key ? key.matchId : null) : toWholeNumber(fields.matchId);
+        row.court = isBlank(fields.court) ? null : toWholeNumber(fields.court);
+        if (Number.isNaN(row.matchId) || Number.isNaN(row.court)) {
+            throw new Error('Match and court must be whole numbers');
+        }
+
+        PLAYER_FIELDS.forEach(field => {
+            row[field] = isBlank(fields[field]) ? '' : String(fields[field]).trim();
+        });
+        if (PLAYER_FIELDS.some(field => row[field] === '')) {
+            throw new Error('Every match needs four player names');
+        }
+        if (new Set(PLAYER_FIELDS.map(field => row[field].toLowerCase())).size < 4) {
+            throw new Error('A player appears twice in the match');
+        }
+
+        // Both scores blank: a match that was not played yet
+        if (isBlank(fields.team1Score) && isBlank(fields.team2Score)) {
+            row.team1Score = null;
+            row.team2Score = null;
+        } else {
+            row.team1Score = toWholeNumber(fields.team1Score);
+            row.team2Score = toWholeNumber(fields.team2Score);
+            if (Number.isNaN(row.team1Score) || Number.isNaN(row.team2Score)) {
+                throw new Error('Scores must be whole numbers (or both blank for an unplayed match)');
+            }
+        }
+
+        return row;
+    }
+
+    /**
+     * Get the points per match of a night: the most common score total
+     * (25, as in the old implementation, when there is no clear winner)
+     */
+    function inferPointsPerMatch(rows) {
+        const counts = {};
+        rows.filter(row => row.team1Score !== null).forEach(row => {
+            const total = row.team1Score + row.team2Score;
+            counts[total] = (counts[total] || 0) + 1;
+        });
+
+        const fallback = Tournament.getScoringRules({}).pointsPerMatch;
+        return Object.keys(counts)
+            .map(Number)
+            .filter(total => total > 0)
+            .sort((a, b) => counts[b] - counts[a] || (b === fallback) - (a === fallback))[0] || fallback;
+    }
+
+    /**
+     * Rebuild one tournament from the rows of its date
+     * @param {string} date - Tournament date
+     * @param {Array<Object>} entries - { where, row } for the date
+     * @returns {Object} { tournament, errors } (tournament is null when there are errors)
+     */
+    function buildTournament(date, entries) {
+        const errors = [];
+        const fail = (where, message) => errors.push({ where, date, message });
+
+        entries.sort((a, b) => a.row.roundNumber - b.row.roundNumber ||
+            (a.row.matchId || 0) - (b.row.matchId || 0));
+
+        // Same player in different spelling case: keep the first spelling
+        const spellings = {};
+        const players = [];
+        entries.forEach(({ row }) => {
+            PLAYER_FIELDS.forEach(field => {
+                const lower = row[field].toLowerCase();
+                if (!spellings[lower]) {
+                    spellings[lower] = row[field];
+                    players.push(row[field]);
+                }
+                row[field] = spellings[lower];
+            });
+        });
+
+        const validation = Tournament.validatePlayers(players);
+        if (!validation.isValid) {
+            fail(null, validation.error);
+        }
+
+        const pointsPerMatch = inferPointsPerMatch(entries.map(e => e.row));
+        const scoring = { mode: Tournament.SCORING_MODES.POINTS, pointsPerMatch: pointsPerMatch, matchMinutes: null };
+
+        // Group into rounds, each player at most once per round
+        const rounds = [];
+        entries.forEach(({ where, row }) => {
+            if (row.team1Score !== null && !Tournament.isValidScore(row.team1Score, row.team2Score, scoring)) {
+                fail(where, `Score ${row.team1Score}-${row.team2Score} does not add up to ${pointsPerMatch}`);
+            }
+
+            let round = rounds.find(r => r.roundNumber === row.roundNumber);
+            if (!round) {
+                round = { roundNumber: row.roundNumber, matches: [], playing: new Set() };
+                rounds.push(round);
+            }
+            PLAYER_FIELDS.forEach(field => {
+                if (round.playing.has(row[field])) {
+                    fail(where, `${row[field]} plays twice in round ${row.roundNumber}`);
+                }
+                round.playing.add(row[field]);
+            });
+            round.matches.push(row);
+        });
+
+        rounds.forEach((round, index) => {
+            if (round.roundNumber !== index + 1) {
+                fail(null, `Round ${index + 1} is missing`);
+            }
+            const unplayed = round.matches.some(m => m.team1Score === null);
+            if (unplayed && index < rounds.length - 1) {
+                fail(null, `Round ${round.roundNumber} has matches without a score but later rounds were played`);
+            }
+        });
+
+        // Keep the old match ids when they are usable
+        const ids = entries.map(e => e.row.matchId);
+        const keepIds = ids.every(id => id !== null) && new Set(ids).size === ids.length;
+
+        if (errors.length > 0) {
+            return { tournament: null, errors };
+        }
+
+        const tournament = Tournament.createTournament(`Mexicano ${date}`, date, players, '', {
+            pointsPerMatch: pointsPerMatch,
+            courts: Math.max(...rounds.map(r => r.matches.length)),
+            seeding: { method: Pairing.SEEDING_METHODS.ENTRY },
+            // The old format has no sit-outs, so none are compensated
+            sitOutCompensation: { mode: Tournament.SIT_OUT_COMPENSATION.NONE, points: 0 }
+        });
+
+        let nextId = 1;
+        tournament.rounds = rounds.map(round => ({
+            roundNumber: round.roundNumber,
+            matches: round.matches.map((row, index) => ({
+                id: keepIds ? row.matchId : nextId++,
+                court: row.court || index + 1,
+                team1Player1: row.team1Player1,
+                team1Player2: row.team1Player2,
+                team2Player1: row.team2Player1,
+                team2Player2: row.team2Player2,
+                team1Score: row.team1Score,
+                team2Score: row.team2Score
+            })),
+            sittingOut: players.filter(p => !round.playing.has(p))
+        }));
+
+        if (tournament.rounds.every(round => Tournament.isRoundComplete(round, scoring))) {
+            Tournament.finishTournament(tournament);
+        }
+
+        return { tournament, errors };
+    }
+
+    /**
+     * Rebuild tournaments from a file's text, grouping the matches by date
+     * @param {string} text - JSON MatchEntity list or CSV with one row per match
+     * @param {string} fileName - Used for the date of CSV files without a date column
+     * @returns {Object} { tournaments, errors: [{ where, date, message }] }
+     * Dates with a bad row are left out; a row without a readable date could belong
+     * to any of them, so then nothing is imported
+     */
+    function parse(text, fileName = '') {
+        const fallbackDate = (fileName.match(DATE_PATTERN) || [null])[0];
+        const errors = [];
+        const byDate = {};
+        const failedDates = new Set();
+        let undated = false;
+
+        readRecords(text).forEach(({ where, fields }) => {
+            let date = null;
+            try {
+                date = getRowDate(fields, fallbackDate);
+                const row = toMatchRow(fields, date);
+                (byDate[date] = byDate[date] || []).push({ where, row });
+            } catch (error) {
+                errors.push({ where, date, message: error.message });
+                if (date) failedDates.add(date);
+                else undated = true;
+            }
+        });
+
+        const tournaments = [];
+        Object.keys(byDate).sort().forEach(date => {
+            const result = buildTournament(date, byDate[date]);
+            errors.push(...result.errors);
+            if (result.tournament && !failedDates.has(date) && !undated) {
+                tournaments.push(result.tournament);
+            }
+        });
+
+        if (tournaments.length === 0 && errors.length === 0) {
+            throw new Error('No matches found in the file');
+        }
+
+        return { tournaments, errors };
+    }
+
+    /**
+     * Import a file of match rows, saving every rebuilt tournament through the offline queue.
+     * Dates that already have a tournament are skipped rather than overwritten.
+     * @param {File} file - JSON or CSV file
+     * @returns {Promise<Object>} { imported: [date], skipped: [date], unsynced: [date], errors }
+     * where unsynced are imported dates only saved on this device so far, and errors
+     * also lists nights whose save failed
+     */
+    async function importFile(file) {
+        const { tournaments, errors } = parse(await file.text(), file.name);
+        const existing = new Set((await Sync.listTournaments()).map(item => item.date));
+        const imported = [];
+        const skipped = [];
+        const unsynced = [];
+
+        for (const tournament of tournaments) {
+            const date = tournament.tournamentDate;
+            if (existing.has(date)) {
+                skipped.push(date);
+                continue;
+            }
+            // A rejected save is reported with the rows, the other nights still import
+            try {
+                if (!await Sync.saveTournament(tournament)) {
+                    unsynced.push(date);
+                }
+                imported.push(date);
+            } catch (error) {
+                errors.push({ where: null, date, message: error.message });
+            }
+        }
+
+        return { imported, skipped, unsynced, errors };
+    }
+
+    /**
+     * Check if parsed JSON is a tournament file rather than a list of match rows
+     * @param {string} text - File text
+     * @returns {boolean} True for a tournament file
+     */
+    function isTournamentFile(text) {
+        try {
+            const data = JSON.parse(text);
+            return Boolean(data) && !Array.isArray(data) && Array.isArray(data.rounds);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Public API
+    return {
+        parse,
+        importFile,
+        isTournamentFile
+    };
+})();
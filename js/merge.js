@@ -0,0 +1,246 @@
+/**
+ * Merge module for Mexicano Tournament
+ * Three-way merge of tournament documents edited on two devices
+ */
+
+const Merge = (function () {
+    // Top-level properties that are managed by storage, never merged
+    const IGNORED_KEYS = ['rounds', 'createdAt', 'updatedAt', '_sha', '_merged'];
+
+    function isEqual(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+
+    function clone(value) {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    }
+
+    function scoreOf(match) {
+        if (!match) return null;
+        return [match.team1Score, match.team2Score];
+    }
+
+    function byKey(items, key) {
+        const map = {};
+        (items || []).forEach(item => {
+            map[item[key]] = item;
+        });
+        return map;
+    }
+
+    /**
+     * Pick a value changed on at most one side
+     * Returns the local value if only local changed, remote otherwise
+     */
+    function pick(base, local, remote) {
+        if (isEqual(local, remote)) return local;
+        if (isEqual(local, base)) return remote;
+        return local;
+    }
+
+    /**
+     * Merge player lists changed on both sides: players added on either side
+     * are kept (remote order first), players removed on either side are dropped
+     * @returns {Array<string>} Merged player names
+     */
+    function mergeNames(base, local, remote) {
+        const baseNames = base || [];
+        const added = local.filter(name => !remote.includes(name) && !baseNames.includes(name));
+
+        return [...remote, ...added]
+            .filter(name => !baseNames.includes(name) || (local.includes(name) && remote.includes(name)));
+    }
+
+    function eventKey(event) {
+        return `${event.type}|${event.player}|${event.createdAt}`;
+    }
+
+    /**
+     * Merge player changes (substitutions, withdrawals, late arrivals) made on both sides.
+     * Events are only ever added, so both sides' new events are kept in time order;
+     * if both devices changed the same player, the remote (saved first) wins.
+     * @returns {Array<Object>} Merged events
+     */
+    function mergeEvents(base, local, remote) {
+        const baseKeys = new Set((base || []).map(eventKey));
+        const remoteKeys = new Set(remote.map(eventKey));
+        const remotePlayers = new Set(remote.filter(e => !baseKeys.has(eventKey(e))).map(e => e.player));
+
+        const added = local.filter(e => {
+            const key = eventKey(e);
+            return !baseKeys.has(key) && !remoteKeys.has(key) && !remotePlayers.has(e.player);
+        });
+
+        return [...remote, ...added].sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
+    }
+
+    // Top-level lists merged entry by entry when both sides changed them
+    const LIST_MERGERS = {
+        players: mergeNames,
+        events: mergeEvents
+    };
+
+    /**
+     * Merge the matches of a round present on both sides with the same pairings
+     * @returns {Array<Object>} Merged matches
+     */
+    function mergeMatches(roundNumber, baseRound, localRound, remoteRound, conflicts) {
+        const baseMatches = byKey(baseRound ? baseRound.matches : [], 'id');
+        const remoteMatches = byKey(remoteRound.matches, 'id');
+
+        return localRound.matches.map(localMatch => {
+            const remoteMatch = remoteMatches[localMatch.id];
+            const baseMatch = baseMatches[localMatch.id];
+
+            const baseScore = scoreOf(baseMatch);
+            const localScore = scoreOf(localMatch);
+            const remoteScore = scoreOf(remoteMatch);
+
+            // Non-score fields (player names) follow the usual pick rule
+            const baseRest = baseMatch ? { ...baseMatch, team1Score: null, team2Score: null } : null;
+            const merged = clone(pick(
+                baseRest,
+                { ...localMatch, team1Score: null, team2Score: null },
+                { ...remoteMatch, team1Score: null, team2Score: null }
+            ));
+
+            let score;
+            if (isEqual(localScore, remoteScore)) {
+                score = localScore;
+            } else if (remoteScore[0] === null && remoteScore[1] === null) {
+                score = localScore;
+            } else if (localScore[0] === null && localScore[1] === null) {
+                score = remoteScore;
+            } else if (baseScore && isEqual(localScore, baseScore)) {
+                score = remoteScore;
+            } else if (baseScore && isEqual(remoteScore, baseScore)) {
+                score = localScore;
+            } else {
+                // Both devices entered different scores for the same match
+                conflicts.push({
+                    roundNumber: roundNumber,
+                    matchId: localMatch.id,
+                    match: clone(merged),
+                    local: { team1Score: localScore[0], team2Score: localScore[1] },
+                    remote: { team1Score: remoteScore[0], team2Score: remoteScore[1] }
+                });
+                score = remoteScore;
+            }
+
+            merged.team1Score = score[0];
+            merged.team2Score = score[1];
+            return merged;
+        });
+    }
+
+    /**
+     * Merge rounds by round number and matches by id
+     * @returns {Array<Object>} Merged rounds
+     */
+    function mergeRounds(baseRounds, localRounds, remoteRounds, conflicts) {
+        const base = byKey(baseRounds, 'roundNumber');
+        const local = byKey(localRounds, 'roundNumber');
+        const remote = byKey(remoteRounds, 'roundNumber');
+
+        const roundNumbers = [...new Set([...Object.keys(local), ...Object.keys(remote)])]
+            .map(Number)
+            .sort((a, b) => a - b);
+
+        const merged = [];
+        roundNumbers.forEach(roundNumber => {
+            const baseRound = base[roundNumber];
+            const localRound = local[roundNumber];
+            const remoteRound = remote[roundNumber];
+
+            if (!localRound || !remoteRound) {
+                const present = localRound || remoteRound;
+                // Dropped on the other side and untouched here: keep it dropped
+                if (baseRound && isEqual(present, baseRound)) return;
+                merged.push(clone(present));
+                return;
+            }
+
+            const localIds = localRound.matches.map(m => m.id).join(',');
+            const remoteIds = remoteRound.matches.map(m => m.id).join(',');
+
+            if (localIds !== remoteIds) {
+                // Round was regenerated differently on each side: the side that
+                // changed it wins, and the remote (saved first) wins a tie
+                const baseIds = baseRound ? baseRound.matches.map(m => m.id).join(',') : null;
+                merged.push(clone(localIds !== baseIds && remoteIds === baseIds ? localRound : remoteRound));
+                return;
+            }
+
+            const { matches: baseMatches, ...baseRest } = baseRound || {};
+            const { matches: localMatches, ...localRest } = localRound;
+            const { matches: remoteMatches, ...remoteRest } = remoteRound;
+
+            merged.push({
+                ...clone(pick(baseRound ? baseRest : null, localRest, remoteRest)),
+                matches: mergeMatches(roundNumber, baseRound, localRound, remoteRound, conflicts)
+            });
+        });
+
+        // Later rounds only exist on top of earlier ones: stop at the first gap
+        return merged.filter((round, index) => round.roundNumber === index + 1);
+    }
+
+    /**
+     * Three-way merge of two versions of a tournament
+     * @param {Object|null} base - Last version both sides agreed on (null if unknown)
+     * @param {Object} local - Version on this device
+     * @param {Object} remote - Version currently in storage
+     * @returns {Object} { merged, conflicts } where conflicts lists matches scored differently on both sides
+     */
+    function mergeTournaments(base, local, remote) {
+        const conflicts = [];
+        const merged = {};
+
+        const keys = new Set([...Object.keys(local), ...Object.keys(remote)]);
+        keys.forEach(key => {
+            if (IGNORED_KEYS.includes(key)) return;
+            const baseValue = base ? base[key] : undefined;
+            const bothChanged = !isEqual(local[key], remote[key]) &&
+                !isEqual(local[key], baseValue) && !isEqual(remote[key], baseValue);
+
+            const value = bothChanged && LIST_MERGERS[key]
+                ? LIST_MERGERS[key](baseValue, local[key] || [], remote[key] || [])
+                : pick(baseValue, local[key], remote[key]);
+            if (value !== undefined) {
+                merged[key] = clone(value);
+            }
+        });
+
+        merged.createdAt = remote.createdAt || local.createdAt;
+        merged.rounds = mergeRounds(base ? base.rounds : [], local.rounds, remote.rounds, conflicts);
+
+        return { merged, conflicts };
+    }
+
+    /**
+     * Apply the user's choices to the conflicting matches of a merge
+     * @param {Object} merged - Merged tournament (modified in place)
+     * @param {Array<Object>} conflicts - Conflicts returned by mergeTournaments
+     * @param {Array<string>} choices - 'local' or 'remote' for each conflict
+     * @returns {Object} Merged tournament
+     */
+    function resolveConflicts(merged, conflicts, choices) {
+        conflicts.forEach((conflict, index) => {
+            const round = merged.rounds.find(r => r.roundNumber === conflict.roundNumber);
+            const match = round && round.matches.find(m => m.id === conflict.matchId);
+            if (!match) return;
+
+            const chosen = choices[index] === 'local' ? conflict.local : conflict.remote;
+            match.team1Score = chosen.team1Score;
+            match.team2Score = chosen.team2Score;
+        });
+
+        return merged;
+    }
+
+    // Public API
+    return {
+        mergeTournaments,
+        resolveConflicts
+    };
+})();
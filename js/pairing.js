@@ -1,9 +1,142 @@
 /**
  * Pairing module for Mexicano Tournament
- * Handles match pairing algorithms for initial and Mexicano-style rounds
+ * Handles match pairing algorithms for initial, Mexicano-style and Americano rounds
  */
 
 const Pairing = (function () {
+    /**
+     * Base rounds of cyclic whist schedules for Americano.
+     * Players are numbered 0..n-1; player n-1 stays fixed and the others
+     * shift by +1 (mod n-1) each round. Each table [a, b, c, d] is a+b vs c+d.
+     * Everyone partners every other player once and faces every other player twice.
+     */
+    const WHIST_BASE_ROUNDS = {
+        8: [[0, 1, 2, 4], [3, 6, 5, 7]],
+        12: [[0, 1, 2, 5], [3, 7, 8, 10], [4, 9, 6, 11]],
+        16: [[0, 1, 2, 6], [3, 9, 7, 15], [4, 14, 8, 11], [5, 13, 10, 12]]
+    };
+
+    // Pairing strategies for rounds after Round 1
+    const STRATEGIES = {
+        STANDARD: 'standard',           // #1+#4 vs #2+#3 in fixed blocks of four
+        ALTERNATE: 'alternate',         // #1+#3 vs #2+#4 in fixed blocks of four
+        AVOID_REPEATS: 'avoid-repeats', // Best split per block given partner/opponent history
+        SWISS: 'swiss'                  // Sliding window over the ranking, avoiding rematches
+    };
+
+    // Ways to split a group of four (by position) into two teams
+    const GROUP_SPLITS = [
+        [[0, 3], [1, 2]],
+        [[0, 2], [1, 3]],
+        [[0, 1], [2, 3]]
+    ];
+
+    // Players considered after the top unassigned player in a Swiss window
+    const SWISS_WINDOW = 6;
+
+    // Avoid-repeats costs: a repeat partner weighs most, a one-rank swap between
+    // neighbouring groups is only worth it to avoid a partner or two opponent repeats
+    const REPEAT_PARTNER_COST = 10;
+    const REPEAT_OPPONENT_COST = 2;
+    const NEIGHBOUR_SWAP_COST = 3;
+
+    // Player order used for Round 1 (and the Americano schedule)
+    const SEEDING_METHODS = {
+        RANDOM: 'random',     // Shuffled with a stored seed
+        ENTRY: 'entry',       // As entered: 1+4 vs 2+3, 5+8 vs 6+7, ...
+        RATING: 'rating',     // Highest rated first: similar strength on each court
+        BALANCED: 'balanced'  // Teams of similar strength from historical points per game
+    };
+
+    /**
+     * Create a seeded pseudo-random number generator (mulberry32)
+     * @param {number} seed - 32-bit integer seed
+     * @returns {Function} Returns numbers in [0, 1) like Math.random
+     */
+    function createRandom(seed) {
+        let state = seed >>> 0;
+        return function () {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Create a new random seed for a draw
+     * @returns {number} 32-bit integer seed
+     */
+    function createSeed() {
+        return Math.floor(Math.random() * 4294967296);
+    }
+
+    /**
+     * Order players so the entry-order Round 1 pairing (1+4 vs 2+3) builds
+     * teams of similar strength: strongest with weakest, then neighbouring
+     * teams face each other. Players that will sit out go last.
+     */
+    function balancePlayers(players, strengths, sitOutCount, random) {
+        const shuffled = shuffleArray(players, random);
+        const sitting = shuffled.slice(shuffled.length - sitOutCount);
+        const strength = name => strengths[name];
+
+        // Stable sort keeps the shuffled order between equal strengths
+        const playing = shuffled
+            .slice(0, shuffled.length - sitOutCount)
+            .sort((a, b) => strength(b) - strength(a));
+
+        const teams = [];
+        for (let i = 0; i < playing.length / 2; i++) {
+            teams.push([playing[i], playing[playing.length - 1 - i]]);
+        }
+
+        const order = [];
+        for (let i = 0; i < teams.length; i += 2) {
+            const [team1, team2] = [teams[i], teams[i + 1]];
+            order.push(team1[0], team2[0], team2[1], team1[1]);
+        }
+        return [...order, ...sitting];
+    }
+
+    /**
+     * Order players for Round 1 according to a tournament's seeding
+     * The same seeding always gives the same order, so a draw can be reproduced.
+     * @param {Array<string>} players - Player names in entry order
+     * @param {Object} seeding - { method, seed, strengths } (strengths by name for rating/balanced)
+     * @param {number} sitOutCount - Players sitting out Round 1
+     * @returns {Array<string>} Seeded player order
+     */
+    function seedPlayers(players, seeding, sitOutCount = 0) {
+        const strengths = seeding.strengths || {};
+
+        switch (seeding.method) {
+            case SEEDING_METHODS.RANDOM:
+                return shuffleArray(players, createRandom(seeding.seed));
+            case SEEDING_METHODS.RATING:
+                return players
+                    .map((name, index) => ({ name, index }))
+                    .sort((a, b) => strengths[b.name] - strengths[a.name] || a.index - b.index)
+                    .map(p => p.name);
+            case SEEDING_METHODS.BALANCED:
+                return balancePlayers(players, strengths, sitOutCount, createRandom(seeding.seed));
+            default:
+                return [...players];
+        }
+    }
+
+    /**
+     * Get the Round 1 player order of a tournament
+     * (tournaments saved without seeding were shuffled at creation: entry order)
+     */
+    function getSeededPlayers(tournament) {
+        if (!tournament.seeding) return tournament.players;
+
+        const sitOutCount = Tournament.getSitOutCount(tournament.players.length, tournament.courts);
+        return seedPlayers(tournament.players, tournament.seeding, sitOutCount);
+    }
+
     /**
      * Create initial pairings for Round 1 (entry order)
      * Pattern: Players 1+4 vs 2+3, 5+8 vs 6+7, etc.
@@ -63,9 +196,428 @@ const Pairing = (function () {
         return matches;
     }
 
+    /**
+     * Build a match object from two teams of player names
+     */
+    function createMatch(team1, team2) {
+        return {
+            id: 0,
+            team1Player1: team1[0],
+            team1Player2: team1[1],
+            team2Player1: team2[0],
+            team2Player2: team2[1],
+            team1Score: null,
+            team2Score: null
+        };
+    }
+
+    function pairKey(a, b) {
+        return a < b ? `${a}|${b}` : `${b}|${a}`;
+    }
+
+    /**
+     * Count how often players partnered and faced each other in previous rounds
+     * @param {Array<Object>} rounds - Previous rounds
+     * @returns {Object} { partners, opponents } maps of "a|b" to count
+     */
+    function buildHistory(rounds) {
+        const partners = {};
+        const opponents = {};
+        const add = (map, a, b) => {
+            const key = pairKey(a, b);
+            map[key] = (map[key] || 0) + 1;
+        };
+
+        rounds.forEach(round => {
+            round.matches.forEach(m => {
+                add(partners, m.team1Player1, m.team1Player2);
+                add(partners, m.team2Player1, m.team2Player2);
+                [m.team1Player1, m.team1Player2].forEach(a => {
+                    [m.team2Player1, m.team2Player2].forEach(b => add(opponents, a, b));
+                });
+            });
+        });
+
+        return { partners, opponents };
+    }
+
+    /**
+     * Count repeat partnerships and opponents of two teams against the history
+     * @returns {Object} { partners, opponents } repeat counts
+     */
+    function countTeamRepeats(team1, team2, history) {
+        const partners = (history.partners[pairKey(team1[0], team1[1])] ? 1 : 0) +
+            (history.partners[pairKey(team2[0], team2[1])] ? 1 : 0);
+
+        let opponents = 0;
+        team1.forEach(a => team2.forEach(b => {
+            if (history.opponents[pairKey(a, b)]) opponents++;
+        }));
+
+        return { partners, opponents };
+    }
+
+    /**
+     * Count partner and opponent pairs in a set of matches that already met before
+     * @returns {Object} { partners, opponents }
+     */
+    function countRepeats(matches, history) {
+        return matches.reduce((sum, m) => {
+            const repeats = countTeamRepeats(
+                [m.team1Player1, m.team1Player2],
+                [m.team2Player1, m.team2Player2],
+                history
+            );
+            return { partners: sum.partners + repeats.partners, opponents: sum.opponents + repeats.opponents };
+        }, { partners: 0, opponents: 0 });
+    }
+
+    /**
+     * Count partnerships in a set of matches that already happened before
+     * @param {Array<Object>} matches - New matches
+     * @param {Array<Object>} rounds - Previous rounds
+     * @returns {number} Number of repeated partnerships
+     */
+    function countRepeatPartnerships(matches, rounds) {
+        return countRepeats(matches, buildHistory(rounds)).partners;
+    }
+
+    /**
+     * Pair each block of four ranked players with a fixed split
+     */
+    function pairBlocks(names, split) {
+        const matches = [];
+        for (let i = 0; i < names.length; i += 4) {
+            const group = names.slice(i, i + 4);
+            matches.push(createMatch(split[0].map(p => group[p]), split[1].map(p => group[p])));
+        }
+        return matches;
+    }
+
+    /**
+     * Weighted repeat cost of a match; pairs that met several times cost more
+     */
+    function repeatCost(team1, team2, history) {
+        let cost = (history.partners[pairKey(team1[0], team1[1])] || 0) * REPEAT_PARTNER_COST +
+            (history.partners[pairKey(team2[0], team2[1])] || 0) * REPEAT_PARTNER_COST;
+        team1.forEach(a => team2.forEach(b => {
+            cost += (history.opponents[pairKey(a, b)] || 0) * REPEAT_OPPONENT_COST;
+        }));
+        return cost;
+    }
+
+    /**
+     * Find the split of a group of four with the lowest repeat cost
+     * (ties keep the standard #1+#4 vs #2+#3)
+     * @returns {Object} { match, cost }
+     */
+    function bestGroupSplit(group, history) {
+        let best = null;
+        GROUP_SPLITS.forEach(split => {
+            const team1 = split[0].map(p => group[p]);
+            const team2 = split[1].map(p => group[p]);
+            const cost = repeatCost(team1, team2, history);
+            if (!best || cost < best.cost) {
+                best = { match: createMatch(team1, team2), cost: cost };
+            }
+        });
+        return best;
+    }
+
+    /**
+     * Pair blocks of four ranked players with the fewest repeat partners and opponents.
+     * Besides choosing the split inside each block, the last player of a block may
+     * swap with the first of the next block (one rank) when that avoids repeats.
+     * Solved exactly with dynamic programming over the block boundaries.
+     */
+    function pairBlocksAvoidingRepeats(names, history) {
+        const blockCount = names.length / 4;
+
+        // steps[k][left] = best { total, right, match } for block k given whether
+        // the boundary on its left was swapped
+        let previous = [{ total: 0 }, null];
+        const steps = [];
+
+        for (let k = 0; k < blockCount; k++) {
+            const current = [null, null];
+            const choices = [null, null];
+
+            [0, 1].forEach(left => {
+                if (!previous[left]) return;
+
+                [0, 1].forEach(right => {
+                    if (right === 1 && k === blockCount - 1) return;
+
+                    const group = names.slice(k * 4, k * 4 + 4);
+                    if (left) group[0] = names[k * 4 - 1];
+                    if (right) group[3] = names[k * 4 + 4];
+
+                    const split = bestGroupSplit(group, history);
+                    const total = previous[left].total + split.cost + right * NEIGHBOUR_SWAP_COST;
+                    if (!current[right] || total < current[right].total) {
+                        current[right] = { total: total };
+                        choices[right] = { left: left, match: split.match };
+                    }
+                });
+            });
+
+            steps.push(choices);
+            previous = current;
+        }
+
+        // Walk back from the last block (its right boundary is never swapped)
+        const matches = [];
+        let right = 0;
+        for (let k = blockCount - 1; k >= 0; k--) {
+            const choice = steps[k][right];
+            matches.unshift(choice.match);
+            right = choice.left;
+        }
+        return matches;
+    }
+
+    /**
+     * Swiss-style pairing: the best unassigned player is grouped with three
+     * players from the next few in the ranking, choosing the group and split
+     * with fewest repeats and the smallest ranking gaps
+     */
+    function pairSwiss(names, history) {
+        const remaining = [...names];
+        const matches = [];
+
+        while (remaining.length >= 4) {
+            const top = remaining[0];
+            const window = remaining.slice(1, 1 + SWISS_WINDOW);
+            let best = null;
+            let bestCost = Infinity;
+
+            for (let a = 0; a < window.length; a++) {
+                for (let b = a + 1; b < window.length; b++) {
+                    for (let c = b + 1; c < window.length; c++) {
+                        const group = [top, window[a], window[b], window[c]];
+                        // Prefer players close in the ranking
+                        const rankGap = a + b + c;
+
+                        GROUP_SPLITS.forEach(split => {
+                            const team1 = split[0].map(p => group[p]);
+                            const team2 = split[1].map(p => group[p]);
+                            const repeats = countTeamRepeats(team1, team2, history);
+                            const cost = repeats.partners * 100 + repeats.opponents * 10 + rankGap;
+                            if (cost < bestCost) {
+                                best = { group, match: createMatch(team1, team2) };
+                                bestCost = cost;
+                            }
+                        });
+                    }
+                }
+            }
+
+            matches.push(best.match);
+            best.group.forEach(name => remaining.splice(remaining.indexOf(name), 1));
+        }
+
+        return matches;
+    }
+
+    /**
+     * Create pairings for rounds after Round 1 with the chosen strategy
+     * @param {string} strategy - One of STRATEGIES
+     * @param {Array<Object>} rankedPlayers - Player stats sorted by rank (only players on court)
+     * @param {Array<Object>} rounds - Previous rounds (for repeat history)
+     * @returns {Object} { matches, repeatPartnerships, repeatOpponents, repeatsAvoided } where
+     * repeatsAvoided counts repeat partners and opponents saved compared with the standard pattern
+     */
+    function createStrategyPairings(strategy, rankedPlayers, rounds) {
+        const names = rankedPlayers.map(p => p.name);
+        const history = buildHistory(rounds);
+        let matches;
+
+        switch (strategy) {
+            case STRATEGIES.ALTERNATE:
+                matches = pairBlocks(names, GROUP_SPLITS[1]);
+                break;
+            case STRATEGIES.AVOID_REPEATS:
+                matches = pairBlocksAvoidingRepeats(names, history);
+                break;
+            case STRATEGIES.SWISS:
+                matches = pairSwiss(names, history);
+                break;
+            default:
+                matches = createMexicanoPairings(rankedPlayers);
+        }
+
+        const repeats = countRepeats(matches, history);
+        const standard = countRepeats(createMexicanoPairings(rankedPlayers), history);
+
+        return {
+            matches: matches,
+            repeatPartnerships: repeats.partners,
+            repeatOpponents: repeats.opponents,
+            repeatsAvoided: Math.max(0, (standard.partners + standard.opponents) - (repeats.partners + repeats.opponents))
+        };
+    }
+
+    /**
+     * Create partner pairs for every round so each player partners every other once
+     * (circle method: one player stays fixed, the others rotate)
+     * @param {Array<string>} players - Player names (even count)
+     * @returns {Array<Array<Array<string>>>} Pairs per round
+     */
+    function createPartnerRounds(players) {
+        const n = players.length;
+        const fixed = players[n - 1];
+        const rotating = players.slice(0, n - 1);
+        const rounds = [];
+
+        for (let r = 0; r < n - 1; r++) {
+            const pairs = [[fixed, rotating[r]]];
+            for (let i = 1; i < n / 2; i++) {
+                pairs.push([
+                    rotating[(r + i) % (n - 1)],
+                    rotating[(r - i + n - 1) % (n - 1)]
+                ]);
+            }
+            rounds.push(pairs);
+        }
+
+        return rounds;
+    }
+
+    /**
+     * List every way to split pairs into matches of two pairs
+     * @param {Array} pairs - Partner pairs (even count)
+     * @returns {Array<Array<Array>>} Each option is a list of [pairA, pairB]
+     */
+    function listPairMatchings(pairs) {
+        if (pairs.length === 0) return [[]];
+
+        const [first, ...rest] = pairs;
+        const options = [];
+        rest.forEach((opponent, index) => {
+            const remaining = rest.filter((_, i) => i !== index);
+            listPairMatchings(remaining).forEach(option => {
+                options.push([[first, opponent], ...option]);
+            });
+        });
+        return options;
+    }
+
+    /**
+     * Develop a cyclic whist base round into the full list of tables per round
+     * @param {Array<string>} players - Player names
+     * @param {Array<Array<number>>} baseRound - Tables of the first round (player indexes)
+     * @returns {Array<Array<Array<Array<string>>>>} Matchups ([pairA, pairB]) per round
+     */
+    function developWhistRounds(players, baseRound) {
+        const fixed = players.length - 1;
+        const rounds = [];
+
+        for (let r = 0; r < fixed; r++) {
+            const shift = (index) => players[index === fixed ? fixed : (index + r) % fixed];
+            rounds.push(baseRound.map(([a, b, c, d]) => [[shift(a), shift(b)], [shift(c), shift(d)]]));
+        }
+
+        return rounds;
+    }
+
+    /**
+     * Create a full Americano schedule
+     * Every player partners every other player once. For 8, 12 and 16 players a
+     * whist schedule spreads opponents perfectly; otherwise, each round, the
+     * matchups that repeat opponents least are chosen.
+     * @param {Array<string>} players - Player names (multiple of 4)
+     * @returns {Array<Object>} Rounds with matches (court numbers fixed)
+     */
+    function createAmericanoSchedule(players) {
+        const toRound = (matchups, roundIndex) => ({
+            roundNumber: roundIndex + 1,
+            matches: matchups.map(([pairA, pairB], index) => ({
+                id: index + 1,
+                court: index + 1,
+                team1Player1: pairA[0],
+                team1Player2: pairA[1],
+                team2Player1: pairB[0],
+                team2Player2: pairB[1],
+                team1Score: null,
+                team2Score: null
+            })),
+            sittingOut: []
+        });
+
+        const baseRound = WHIST_BASE_ROUNDS[players.length];
+        if (baseRound) {
+            return developWhistRounds(players, baseRound).map(toRound);
+        }
+
+        const opponentCounts = {};
+        const key = (a, b) => [a, b].sort().join('|');
+        const count = (a, b) => opponentCounts[key(a, b)] || 0;
+
+        // Cost of a matchup: grows quickly with repeated opponents
+        const matchupCost = ([pairA, pairB]) => pairA.reduce((sum, a) =>
+            sum + pairB.reduce((inner, b) => inner + Math.pow(count(a, b) + 1, 2), 0), 0);
+
+        return createPartnerRounds(players).map((pairs, roundIndex) => {
+            let best = null;
+            let bestCost = Infinity;
+            listPairMatchings(pairs).forEach(option => {
+                const cost = option.reduce((sum, matchup) => sum + matchupCost(matchup), 0);
+                if (cost < bestCost) {
+                    best = option;
+                    bestCost = cost;
+                }
+            });
+
+            best.forEach(([pairA, pairB]) => {
+                pairA.forEach(a => pairB.forEach(b => {
+                    opponentCounts[key(a, b)] = count(a, b) + 1;
+                }));
+            });
+
+            return toRound(best, roundIndex);
+        });
+    }
+
+    /**
+     * Choose who sits out the next round
+     * Fair rotation: fewest sit-outs first, then longest since last sitting out.
+     * Remaining ties go to the players latest in the given order.
+     * Rounds a late arrival missed count as sitting out.
+     * @param {Array<string>} players - Candidate player names (entry or ranking order)
+     * @param {Array<Object>} rounds - Previous rounds
+     * @param {number} count - Number of players to sit out
+     * @param {Object} joinRounds - Map of late arrival to the last round before joining
+     * @returns {Array<string>} Names of the players sitting out
+     */
+    function selectSitOuts(players, rounds, count, joinRounds = {}) {
+        if (count <= 0) return [];
+
+        const history = {};
+        players.forEach((player, index) => {
+            const missed = joinRounds[player] || 0;
+            history[player] = { player, index, sitOuts: missed, lastRound: missed };
+        });
+
+        rounds.forEach(round => {
+            (round.sittingOut || []).forEach(player => {
+                if (history[player]) {
+                    history[player].sitOuts += 1;
+                    history[player].lastRound = round.roundNumber;
+                }
+            });
+        });
+
+        return Object.values(history)
+            .sort((a, b) => a.sitOuts - b.sitOuts || a.lastRound - b.lastRound || b.index - a.index)
+            .slice(0, count)
+            .map(h => h.player);
+    }
+
     /**
      * Generate the next round for a tournament
-     * Uses initial pairing for Round 1, Mexicano pairing for subsequent rounds
+     * Uses initial pairing for Round 1, Mexicano pairing for subsequent rounds.
+     * Players that don't fit on the available courts sit out in rotation.
+     * After the planned rounds, an optional final puts the top 4 on one court.
      * @param {Object} tournament - Tournament object
      * @returns {Object|null} New round object or null if cannot generate
      */
@@ -76,15 +628,50 @@ const Pairing = (function () {
         }
 
         const nextRoundNumber = Tournament.getCurrentRoundNumber(tournament) + 1;
+        const activePlayers = Tournament.getActivePlayers(tournament, nextRoundNumber);
+        const sitOutCount = Tournament.getSitOutCount(activePlayers.length, tournament.courts);
+        const strategy = tournament.pairingStrategy || STRATEGIES.STANDARD;
+        const isFinal = Tournament.isFinalRoundDue(tournament);
         let matches;
+        let sittingOut;
+        let pairing;
 
         if (nextRoundNumber === 1) {
-            // Round 1: Use entry order pairing
-            matches = createInitialPairings(tournament.players);
+            // Round 1: Use entry order pairing on the seeded order
+            const seeded = getSeededPlayers(tournament);
+            sittingOut = selectSitOuts(seeded, tournament.rounds, sitOutCount);
+            matches = createInitialPairings(seeded.filter(p => !sittingOut.includes(p)));
         } else {
-            // Subsequent rounds: Use Mexicano pairing based on rankings
-            const rankedPlayers = Tournament.rankPlayers(tournament);
-            matches = createMexicanoPairings(rankedPlayers);
+            // Subsequent rounds: Use the tournament's pairing strategy based on rankings
+            // (only players still in the tournament)
+            let rankedPlayers = Tournament.rankPlayers(tournament).filter(p => activePlayers.includes(p.name));
+            let finalMatch = null;
+
+            if (isFinal) {
+                // Final: the top 4 play for the title (#1+#4 vs #2+#3), the rest play on as usual
+                finalMatch = { ...createMexicanoPairings(rankedPlayers.slice(0, 4))[0], isFinal: true };
+                rankedPlayers = rankedPlayers.slice(4);
+            }
+
+            sittingOut = selectSitOuts(
+                rankedPlayers.map(p => p.name),
+                tournament.rounds,
+                sitOutCount,
+                Tournament.getJoinRounds(tournament)
+            );
+
+            const result = createStrategyPairings(
+                strategy,
+                rankedPlayers.filter(p => !sittingOut.includes(p.name)),
+                tournament.rounds
+            );
+            matches = finalMatch ? [finalMatch, ...result.matches] : result.matches;
+            pairing = {
+                strategy: strategy,
+                repeatPartnerships: result.repeatPartnerships,
+                repeatOpponents: result.repeatOpponents,
+                repeatsAvoided: result.repeatsAvoided
+            };
         }
 
         // Update match IDs to be unique across the tournament
@@ -94,10 +681,36 @@ const Pairing = (function () {
             match.id = maxId + index + 1;
         });
 
-        return {
+        const round = {
             roundNumber: nextRoundNumber,
-            matches: matches
+            matches: matches,
+            sittingOut: sittingOut
         };
+        if (pairing) {
+            round.pairing = pairing;
+        }
+        if (isFinal) {
+            round.isFinal = true;
+        }
+        return round;
+    }
+
+    /**
+     * Generate every round of an Americano tournament
+     * @param {Object} tournament - Tournament object
+     * @returns {Array<Object>} All rounds with tournament-unique match IDs
+     */
+    function generateAmericanoRounds(tournament) {
+        const rounds = createAmericanoSchedule(getSeededPlayers(tournament));
+
+        let matchId = 1;
+        rounds.forEach(round => {
+            round.matches.forEach(match => {
+                match.id = matchId++;
+            });
+        });
+
+        return rounds;
     }
 
     /**
@@ -113,6 +726,7 @@ const Pairing = (function () {
         }
 
         tournament.rounds.push(newRound);
+        ActionLog.recordRound(tournament, newRound, `Generate round ${newRound.roundNumber}`);
         tournament.updatedAt = new Date().toISOString();
 
         return tournament;
@@ -122,12 +736,13 @@ const Pairing = (function () {
      * Shuffle an array (Fisher-Yates algorithm)
      * Can be used for randomizing initial player order
      * @param {Array} array - Array to shuffle
+     * @param {Function} random - Random number source (use createRandom for a reproducible shuffle)
      * @returns {Array} Shuffled array (copy)
      */
-    function shuffleArray(array) {
+    function shuffleArray(array, random = Math.random) {
         const shuffled = [...array];
         for (let i = shuffled.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
+            const j = Math.floor(random() * (i + 1));
             [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
         }
         return shuffled;
@@ -150,11 +765,21 @@ const Pairing = (function () {
 
     // Public API
     return {
+        STRATEGIES,
+        SEEDING_METHODS,
         createInitialPairings,
         createMexicanoPairings,
+        createStrategyPairings,
+        countRepeatPartnerships,
+        createAmericanoSchedule,
+        selectSitOuts,
         generateNextRound,
+        generateAmericanoRounds,
         addNextRound,
         shuffleArray,
+        createRandom,
+        createSeed,
+        seedPlayers,
         getMatchDisplayString
     };
 })();
@@ -0,0 +1,97 @@
+/**
+ * Rating module for Mexicano Tournament
+ * Doubles Elo rating: each team plays at the average rating of its two
+ * players and both partners gain or lose the same amount
+ */
+
+const Rating = (function () {
+    const INITIAL_RATING = 1500;
+
+    // Maximum rating change per match
+    const K_FACTOR = 32;
+
+    /**
+     * Expected result (0-1) of a team against another
+     * @param {number} rating - Team rating
+     * @param {number} opponentRating - Opponent team rating
+     * @returns {number} Expected score
+     */
+    function expectedScore(rating, opponentRating) {
+        return 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+    }
+
+    /**
+     * Calculate ratings by replaying every completed match in date and round order
+     * @param {Array<Object>} tournaments - Tournament data objects (any order)
+     * @param {Object} aliases - Name aliases (defaults to the saved ones)
+     * @returns {Object} Map of player key (Season.resolvePlayerKey) to
+     * { key, name, rating, matches, history: [{ date, rating }] } with one history point per night
+     */
+    function calculateRatings(tournaments, aliases = Config.getPlayerAliases()) {
+        const players = {};
+
+        const getPlayer = (name) => {
+            const key = Season.resolvePlayerKey(name, aliases);
+            if (!players[key]) {
+                players[key] = { key: key, name: name.trim(), rating: INITIAL_RATING, matches: 0, history: [] };
+            }
+            return players[key];
+        };
+
+        [...tournaments]
+            .sort((a, b) => a.tournamentDate.localeCompare(b.tournamentDate))
+            .forEach(tournament => {
+                const scoring = Tournament.getScoringRules(tournament);
+                const played = new Set();
+
+                tournament.rounds.forEach(round => {
+                    round.matches.forEach(match => {
+                        if (!Tournament.isMatchComplete(match, scoring)) return;
+
+                        const team1 = [getPlayer(match.team1Player1), getPlayer(match.team1Player2)];
+                        const team2 = [getPlayer(match.team2Player1), getPlayer(match.team2Player2)];
+                        const team1Rating = (team1[0].rating + team1[1].rating) / 2;
+                        const team2Rating = (team2[0].rating + team2[1].rating) / 2;
+
+                        let result = 0.5;
+                        if (match.team1Score > match.team2Score) result = 1;
+                        if (match.team1Score < match.team2Score) result = 0;
+
+                        const change = K_FACTOR * (result - expectedScore(team1Rating, team2Rating));
+                        team1.forEach(p => { p.rating += change; });
+                        team2.forEach(p => { p.rating -= change; });
+
+                        [...team1, ...team2].forEach(p => {
+                            p.matches++;
+                            played.add(p);
+                        });
+                    });
+                });
+
+                played.forEach(p => {
+                    p.history.push({ date: tournament.tournamentDate, rating: p.rating });
+                });
+            });
+
+        return players;
+    }
+
+    /**
+     * Get a player's rating (new players start at the initial rating)
+     * @param {Object} ratings - Result of calculateRatings
+     * @param {string} name - Player name
+     * @param {Object} aliases - Name aliases (defaults to the saved ones)
+     * @returns {number} Rating
+     */
+    function getRating(ratings, name, aliases = Config.getPlayerAliases()) {
+        const player = ratings[Season.resolvePlayerKey(name, aliases)];
+        return player ? player.rating : INITIAL_RATING;
+    }
+
+    // Public API
+    return {
+        INITIAL_RATING,
+        calculateRatings,
+        getRating
+    };
+})();
@@ -0,0 +1,180 @@
+/**
+ * Router module for Mexicano Tournament
+ * Hash-based routes so views can be bookmarked, shared and reached with the back button
+ *
+ *   #/                         tournament list
+ *   #/new                      create form
+ *   #/season                   season leaderboard
+ *   #/t/YYYY-MM-DD             tournament (round in play)
+ *   #/t/YYYY-MM-DD/round/3     tournament at a round
+ *   #/t/YYYY-MM-DD/leaderboard tournament leaderboard
+ *   #/view/YYYY-MM-DD          spectator scoreboard (?repo=owner/repo optional)
+ */
+
+const Router = (function () {
+    const ROUTES = {
+        LIST: 'list',
+        CREATE: 'create',
+        SEASON: 'season',
+        TOURNAMENT: 'tournament',
+        LEADERBOARD: 'leaderboard',
+        SPECTATOR: 'spectator'
+    };
+
+    const DATE = '(\\d{4}-\\d{2}-\\d{2})';
+    const PATTERNS = [
+        { name: ROUTES.CREATE, regex: /^\/new$/ },
+        { name: ROUTES.SEASON, regex: /^\/season$/ },
+        { name: ROUTES.TOURNAMENT, regex: new RegExp(`^/t/${DATE}(?:/round/(\\d+))?$`) },
+        { name: ROUTES.LEADERBOARD, regex: new RegExp(`^/t/${DATE}/leaderboard$`) },
+        { name: ROUTES.SPECTATOR, regex: new RegExp(`^/view/${DATE}(?:\\?repo=([\\w.-]+/[\\w.-]+))?$`) }
+    ];
+
+    let listener = () => { };
+    let lastHash = null;
+
+    /**
+     * Read a route from a URL hash (unknown hashes go to the list)
+     * @param {string} hash - e.g. '#/t/2026-02-12/round/3'
+     * @returns {Object} Route { name, date, round, repo } (only the parts that apply)
+     */
+    function parse(hash) {
+        const path = decodeURIComponent(String(hash || '').replace(/^#/, ''));
+
+        for (const pattern of PATTERNS) {
+            const match = path.match(pattern.regex);
+            if (!match) continue;
+
+            const route = { name: pattern.name };
+            if (match[1]) route.date = match[1];
+            if (pattern.name === ROUTES.TOURNAMENT && match[2]) route.round = parseInt(match[2]);
+            if (pattern.name === ROUTES.SPECTATOR && match[2]) route.repo = match[2];
+            return route;
+        }
+
+        return { name: ROUTES.LIST };
+    }
+
+    /**
+     * Build the URL hash of a route
+     * @param {Object} route - Route { name, date, round, repo }
+     * @returns {string} Hash starting with '#/'
+     */
+    function build(route) {
+        switch (route.name) {
+            case ROUTES.CREATE:
+                return '#/new';
+            case ROUTES.SEASON:
+                return '#/season';
+            case ROUTES.TOURNAMENT:
+                return `#/t/${route.date}${route.round ? `/round/${route.round}` : ''}`;
+            case ROUTES.LEADERBOARD:
+                return `#/t/${route.date}/leaderboard`;
+            case ROUTES.SPECTATOR:
+                return `#/view/${route.date}${route.repo ? `?repo=${route.repo}` : ''}`;
+            default:
+                return '#/';
+        }
+    }
+
+    /**
+     * Get the route of the current URL
+     * @returns {Object} Route
+     */
+    function current() {
+        return parse(window.location.hash);
+    }
+
+    /**
+     * Set the function that shows a route; called on back/forward and on navigate
+     * @param {Function} routeListener - Called with the route
+     */
+    function onChange(routeListener) {
+        listener = routeListener;
+        lastHash = window.location.hash;
+
+        // Back/forward and hashes typed in the address bar
+        window.addEventListener('popstate', () => {
+            if (window.location.hash === lastHash) return;
+            lastHash = window.location.hash;
+            listener(current());
+        });
+    }
+
+    /**
+     * Go to a route, adding a history entry
+     * @param {Object} route - Route
+     * @param {Object} options - { replace }: replace the current entry instead
+     */
+    function navigate(route, options = {}) {
+        const hash = build(route);
+        if (hash === window.location.hash) return;
+
+        if (options.replace) {
+            history.replaceState(history.state, '', hash);
+        } else {
+            history.pushState({ inApp: true }, '', hash);
+        }
+        lastHash = hash;
+        listener(route);
+    }
+
+    /**
+     * Update the URL to match what is on screen, without showing anything
+     * @param {Object} route - Route
+     */
+    function replace(route) {
+        const hash = build(route);
+        history.replaceState(history.state, '', hash);
+        lastHash = hash;
+    }
+
+    /**
+     * Go back to the previous in-app route, or to a fallback when the page was opened on this route
+     * @param {Object} fallback - Route to show when there is no in-app history
+     */
+    function back(fallback) {
+        if (history.state && history.state.inApp) {
+            history.back();
+        } else {
+            navigate(fallback, { replace: true });
+        }
+    }
+
+    /**
+     * Get the full link of a route
+     * @param {Object} route - Route (defaults to the current one)
+     * @returns {string} URL
+     */
+    function getShareUrl(route = current()) {
+        return `${window.location.origin}${window.location.pathname}${build(route)}`;
+    }
+
+    /**
+     * Copy the link of a route to the clipboard
+     * @param {Object} route - Route (defaults to the current one)
+     * @returns {Promise<string>} The copied URL
+     */
+    async function copyLink(route = current()) {
+        const url = getShareUrl(route);
+        if (!navigator.clipboard) {
+            throw new Error('Copying is not supported in this browser');
+        }
+        await navigator.clipboard.writeText(url);
+        return url;
+    }
+
+    // Public API
+    return {
+        ROUTES,
+        parse,
+        build,
+        current,
+        onChange,
+        navigate,
+        replace,
+        back,
+        getShareUrl,
+        copyLink
+    };
+})();
@@ -0,0 +1,366 @@
+/**
+ * Schema module for Mexicano Tournament
+ * Versioned JSON schema of the tournament file, the migrations that upgrade
+ * older files step by step, and a validator that reports where a file is corrupt
+ */
+
+const TournamentSchema = (function () {
+    // Files saved before versioning are version 1
+    const CURRENT_VERSION = 3;
+
+    const NAME = { type: 'string', pattern: '\\S' };
+    const DATE = { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$' };
+    const TIMESTAMP = { type: 'string' };
+    const SCORE = { type: ['integer', 'null'], minimum: 0 };
+
+    const MATCH = {
+        type: 'object',
+        required: ['id', 'team1Player1', 'team1Player2', 'team2Player1', 'team2Player2', 'team1Score', 'team2Score'],
+        properties: {
+            id: { type: 'integer', minimum: 0 },
+            court: { type: 'integer', minimum: 1 },
+            team1Player1: NAME,
+            team1Player2: NAME,
+            team2Player1: NAME,
+            team2Player2: NAME,
+            team1Score: SCORE,
+            team2Score: SCORE,
+            isFinal: { type: 'boolean' }
+        }
+    };
+
+    const ROUND = {
+        type: 'object',
+        required: ['roundNumber', 'matches'],
+        properties: {
+            roundNumber: { type: 'integer', minimum: 1 },
+            matches: { type: 'array', items: MATCH },
+            sittingOut: { type: 'array', items: NAME },
+            pairing: { type: 'object' },
+            isFinal: { type: 'boolean' }
+        }
+    };
+
+    const EVENT = {
+        type: 'object',
+        required: ['type', 'player', 'round'],
+        properties: {
+            type: { enum: Object.values(Tournament.EVENT_TYPES) },
+            player: NAME,
+            substitute: NAME,
+            round: { type: 'integer', minimum: 0 },
+            inheritPoints: { type: 'boolean' },
+            startingScore: { enum: Object.values(Tournament.STARTING_SCORES) },
+            startingPoints: { type: 'number' },
+            createdAt: TIMESTAMP
+        }
+    };
+
+    /**
+     * Schema of the current version (JSON Schema keywords; fields not listed are allowed)
+     */
+    const SCHEMA = {
+        type: 'object',
+        required: ['schemaVersion', 'name', 'tournamentDate', 'format', 'scoringMode', 'pairingStrategy',
+            'tiebreakers', 'sitOutCompensation', 'status', 'players', 'rounds'],
+        properties: {
+            schemaVersion: { type: 'integer', minimum: 1 },
+            name: { type: 'string' },
+            description: { type: 'string' },
+            tournamentDate: DATE,
+            format: { enum: Object.values(Tournament.FORMATS) },
+            scoringMode: { enum: Object.values(Tournament.SCORING_MODES) },
+            pointsPerMatch: { type: 'integer', minimum: 1 },
+            matchMinutes: { type: 'number', exclusiveMinimum: 0 },
+            pairingStrategy: { enum: Object.values(Pairing.STRATEGIES) },
+            tiebreakers: { type: 'array', items: { enum: Object.values(Tournament.TIEBREAKERS) } },
+            seeding: {
+                type: 'object',
+                required: ['method'],
+                properties: {
+                    method: { enum: Object.values(Pairing.SEEDING_METHODS) },
+                    seed: { type: 'integer' },
+                    strengths: { type: 'object' }
+                }
+            },
+            plannedRounds: { type: ['integer', 'null'], minimum: 1 },
+            finalRound: { type: 'boolean' },
+            status: { enum: Object.values(Tournament.STATUSES) },
+            players: { type: 'array', items: NAME },
+            courts: { type: 'integer', minimum: 1 },
+            sitOutCompensation: {
+                type: 'object',
+                required: ['mode'],
+                properties: {
+                    mode: { enum: Object.values(Tournament.SIT_OUT_COMPENSATION) },
+                    points: { type: 'number', minimum: 0 }
+                }
+            },
+            rounds: { type: 'array', items: ROUND },
+            events: { type: 'array', items: EVENT },
+            actionLog: {
+                type: 'object',
+                required: ['entries', 'position'],
+                properties: {
+                    entries: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['type', 'fromRound'],
+                            properties: {
+                                type: { enum: Object.values(ActionLog.TYPES) },
+                                label: { type: 'string' },
+                                fromRound: { type: 'integer', minimum: 1 },
+                                matchId: { type: 'integer', minimum: 0 },
+                                round: ROUND,
+                                before: { type: 'array' },
+                                after: { type: 'array' }
+                            }
+                        }
+                    },
+                    position: { type: 'integer', minimum: 0 }
+                }
+            },
+            winner: { type: 'string' },
+            createdAt: TIMESTAMP,
+            updatedAt: TIMESTAMP,
+            completedAt: TIMESTAMP
+        }
+    };
+
+    /**
+     * Upgrade steps; each one takes a file of the previous version to `version`.
+     * Steps change the file in place.
+     */
+    const MIGRATIONS = [
+        {
+            version: 2,
+            description: 'Store the settings older files left to defaults',
+            migrate(tournament) {
+                // The values the code assumed when these fields were missing
+                const defaults = {
+                    description: '',
+                    format: Tournament.FORMATS.MEXICANO,
+                    scoringMode: Tournament.SCORING_MODES.POINTS,
+                    pairingStrategy: Pairing.STRATEGIES.STANDARD,
+                    tiebreakers: [...Tournament.DEFAULT_TIEBREAKERS],
+                    sitOutCompensation: { mode: Tournament.SIT_OUT_COMPENSATION.AVERAGE, points: 0 },
+                    status: Tournament.STATUSES.IN_PROGRESS,
+                    plannedRounds: null,
+                    finalRound: false
+                };
+                Object.keys(defaults).forEach(key => {
+                    if (tournament[key] === undefined) tournament[key] = defaults[key];
+                });
+                if (tournament.scoringMode === Tournament.SCORING_MODES.POINTS && tournament.pointsPerMatch === undefined) {
+                    tournament.pointsPerMatch = Tournament.getScoringRules({}).pointsPerMatch;
+                }
+
+                (Array.isArray(tournament.rounds) ? tournament.rounds : []).forEach(round => {
+                    (round && Array.isArray(round.matches) ? round.matches : []).forEach(match => {
+                        if (!match) return;
+                        if (match.team1Score === undefined) match.team1Score = null;
+                        if (match.team2Score === undefined) match.team2Score = null;
+                    });
+                });
+            }
+        },
+        {
+            version: 3,
+            description: 'Keep only the changed score or the new round in undo entries',
+            migrate(tournament) {
+                const log = tournament.actionLog;
+                if (!log || !Array.isArray(log.entries)) return;
+
+                // Old entries hold round copies in before/after; entries already in the new shape are left alone
+                const isOld = entry => Boolean(entry) && Array.isArray(entry.before) && Array.isArray(entry.after) &&
+                    [...entry.before, ...entry.after].every(round => typeOf(round) === 'object');
+
+                log.entries.forEach(entry => {
+                    if (!isOld(entry) || entry.type === ActionLog.TYPES.ROUNDS_DISCARDED) return;
+
+                    if (entry.type === ActionLog.TYPES.ROUND_GENERATED) {
+                        entry.round = entry.after[0];
+                        delete entry.before;
+                        delete entry.after;
+                    } else if (entry.type === ActionLog.TYPES.SCORE_SET || entry.type === ActionLog.TYPES.SCORE_CHANGED) {
+                        // The changed match is the one whose score differs between the round copies
+                        const before = (entry.before[0] || { matches: [] }).matches;
+                        const after = (entry.after[0] || { matches: [] }).matches;
+                        const match = after.find(m => {
+                            const old = before.find(b => b.id === m.id);
+                            return old && (old.team1Score !== m.team1Score || old.team2Score !== m.team2Score);
+                        });
+                        const old = match && before.find(b => b.id === match.id);
+                        entry.matchId = match ? match.id : 0;
+                        entry.before = old ? [old.team1Score, old.team2Score] : [null, null];
+                        entry.after = match ? [match.team1Score, match.team2Score] : [null, null];
+                    }
+                });
+            }
+        }
+    ];
+
+    function typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+        return typeof value;
+    }
+
+    function describe(value) {
+        return value === undefined ? 'nothing' : JSON.stringify(value);
+    }
+
+    /**
+     * Check a value against a schema, collecting every problem
+     */
+    function check(value, schema, path, errors) {
+        if (schema.type) {
+            const types = [].concat(schema.type);
+            const actual = typeOf(value);
+            const matches = types.includes(actual) || (actual === 'integer' && types.includes('number'));
+            if (!matches) {
+                errors.push({ path, message: `expected ${types.join(' or ')}, found ${describe(value)}` });
+                return;
+            }
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors.push({ path, message: `expected one of ${schema.enum.join(', ')}, found ${describe(value)}` });
+            return;
+        }
+
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                errors.push({ path, message: `must be at least ${schema.minimum}, found ${value}` });
+            }
+            if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+                errors.push({ path, message: `must be more than ${schema.exclusiveMinimum}, found ${value}` });
+            }
+        }
+
+        if (typeof value === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push({ path, message: `has an invalid value ${describe(value)}` });
+        }
+
+        if (Array.isArray(value) && schema.items) {
+            value.forEach((item, index) => check(item, schema.items, `${path}[${index}]`, errors));
+        }
+
+        if (typeOf(value) === 'object') {
+            (schema.required || []).forEach(key => {
+                if (value[key] === undefined) {
+                    errors.push({ path: path ? `${path}.${key}` : key, message: 'is missing' });
+                }
+            });
+            Object.keys(schema.properties || {}).forEach(key => {
+                if (value[key] !== undefined) {
+                    check(value[key], schema.properties[key], path ? `${path}.${key}` : key, errors);
+                }
+            });
+        }
+    }
+
+    /**
+     * Validate a tournament file against the current schema
+     * @param {Object} tournament - Tournament data object
+     * @returns {Array<Object>} Problems as { path, message }, empty when valid
+     */
+    function validate(tournament) {
+        const errors = [];
+        check(tournament, SCHEMA, '', errors);
+        if (errors.length > 0) return errors;
+
+        // Rounds are looked up by position, so their numbers must follow on
+        tournament.rounds.forEach((round, index) => {
+            if (round.roundNumber !== index + 1) {
+                errors.push({ path: `rounds[${index}].roundNumber`, message: `expected ${index + 1}, found ${round.roundNumber}` });
+            }
+        });
+        return errors;
+    }
+
+    /**
+     * Throw a readable error naming the first problem of an invalid file
+     * @param {Object} tournament - Tournament data object
+     * @param {string} label - What the file is, for the message (e.g. 'Tournament 2026-02-12')
+     */
+    function assertValid(tournament, label = 'Tournament file') {
+        const errors = validate(tournament);
+        if (errors.length === 0) return;
+
+        const first = errors[0];
+        const error = new Error(first.path
+            ? `${label} is corrupt at ${first.path}: ${first.message}`
+            : `${label} is corrupt: ${first.message}`);
+        error.schemaPath = first.path;
+        error.schemaErrors = errors;
+        throw error;
+    }
+
+    /**
+     * Check if an error came from assertValid or migrate
+     * @param {Error} error - Any error
+     * @returns {boolean} True if the file itself is the problem
+     */
+    function isCorruptError(error) {
+        return Boolean(error) && error.schemaPath !== undefined;
+    }
+
+    /**
+     * Upgrade a tournament file to the current version in place
+     * @param {Object} tournament - Tournament data object of any version
+     * @returns {Object} The same object, now at CURRENT_VERSION
+     */
+    function migrate(tournament) {
+        const label = tournament && tournament.tournamentDate ? `Tournament ${tournament.tournamentDate}` : 'Tournament file';
+        if (typeOf(tournament) !== 'object') {
+            const error = new Error(`${label} is corrupt: expected an object, found ${describe(tournament)}`);
+            error.schemaPath = '';
+            throw error;
+        }
+
+        const version = tournament.schemaVersion === undefined ? 1 : tournament.schemaVersion;
+        if (!Number.isInteger(version) || version < 1) {
+            const error = new Error(`${label} is corrupt at schemaVersion: found ${describe(version)}`);
+            error.schemaPath = 'schemaVersion';
+            throw error;
+        }
+        if (version > CURRENT_VERSION) {
+            throw new Error(`${label} was saved by a newer version of the app (file version ${version}); reload to update`);
+        }
+
+        MIGRATIONS
+            .filter(step => step.version > version)
+            .forEach(step => {
+                step.migrate(tournament);
+                tournament.schemaVersion = step.version;
+            });
+
+        return tournament;
+    }
+
+    /**
+     * Upgrade and validate a file that was just read
+     * @param {Object} tournament - Tournament data object
+     * @returns {Object} The upgraded tournament
+     */
+    function load(tournament) {
+        migrate(tournament);
+        assertValid(tournament, `Tournament ${tournament.tournamentDate || 'file'}`);
+        return tournament;
+    }
+
+    // Public API
+    return {
+        CURRENT_VERSION,
+        SCHEMA,
+        MIGRATIONS,
+        validate,
+        assertValid,
+        isCorruptError,
+        migrate,
+        load
+    };
+})();
@@ -0,0 +1,223 @@
+/**
+ * Season module for Mexicano Tournament
+ * Combines player statistics across tournaments and merges name variants
+ */
+
+const Season = (function () {
+    // Safety limit when following alias chains (A -> B -> C)
+    const MAX_ALIAS_DEPTH = 10;
+
+    /**
+     * Normalize a player name for comparison ("  Bob " and "bob" are the same player)
+     * @param {string} name - Player name
+     * @returns {string} Normalized name
+     */
+    function normalizeName(name) {
+        return String(name).trim().replace(/\s+/g, ' ').toLowerCase();
+    }
+
+    /**
+     * Find the normalized key of the player a name belongs to, following aliases
+     * @param {string} name - Player name as written in a tournament
+     * @param {Object} aliases - Map of normalized variant to player name
+     * @returns {string} Player key
+     */
+    function resolvePlayerKey(name, aliases) {
+        let key = normalizeName(name);
+        for (let depth = 0; depth < MAX_ALIAS_DEPTH && aliases[key]; depth++) {
+            const next = normalizeName(aliases[key]);
+            if (next === key) break;
+            key = next;
+        }
+        return key;
+    }
+
+    /**
+     * Merge a name variant into another player
+     * @param {string} variant - Name to merge away
+     * @param {string} playerName - Name of the player it belongs to
+     */
+    function addAlias(variant, playerName) {
+        const aliases = Config.getPlayerAliases();
+        const key = normalizeName(variant);
+
+        if (!key || !normalizeName(playerName)) {
+            throw new Error('Both names are required');
+        }
+        if (resolvePlayerKey(playerName, aliases) === key) {
+            throw new Error(`${variant.trim()} and ${playerName.trim()} are already the same player`);
+        }
+
+        aliases[key] = playerName.trim();
+        Config.setPlayerAliases(aliases);
+    }
+
+    /**
+     * Undo a name merge
+     * @param {string} variant - Merged name variant
+     */
+    function removeAlias(variant) {
+        const aliases = Config.getPlayerAliases();
+        delete aliases[normalizeName(variant)];
+        Config.setPlayerAliases(aliases);
+    }
+
+    /**
+     * Load every tournament from storage (oldest first)
+     * @returns {Promise<Array<Object>>} Tournament data objects
+     */
+    async function loadTournaments() {
+        const list = await Sync.listTournaments();
+        const tournaments = [];
+
+        // One at a time to stay well within API rate limits
+        for (const item of list) {
+            let tournament;
+            try {
+                tournament = await Sync.loadTournament(item.date);
+            } catch (error) {
+                // A corrupt night is left out rather than breaking the whole season
+                if (!TournamentSchema.isCorruptError(error)) throw error;
+                console.warn(error.message);
+                continue;
+            }
+            if (tournament) {
+                tournaments.push(tournament);
+            }
+        }
+
+        return tournaments.sort((a, b) => a.tournamentDate.localeCompare(b.tournamentDate));
+    }
+
+    /**
+     * Keep tournaments within a date range (inclusive, empty ends are open)
+     * @param {Array<Object>} tournaments - Tournament data objects
+     * @param {string} from - First date (YYYY-MM-DD) or ''
+     * @param {string} to - Last date (YYYY-MM-DD) or ''
+     * @returns {Array<Object>} Tournaments in range
+     */
+    function filterByDateRange(tournaments, from, to) {
+        return tournaments.filter(t => (!from || t.tournamentDate >= from) && (!to || t.tournamentDate <= to));
+    }
+
+    /**
+     * Combine player statistics across tournaments
+     * @param {Array<Object>} tournaments - Tournament data objects
+     * @param {Object} options - { from, to } dates (YYYY-MM-DD, optional) and aliases
+     * @returns {Array<Object>} Season stats per player, ranked
+     */
+    function calculateSeasonStats(tournaments, options = {}) {
+        const { from = '', to = '', aliases = Config.getPlayerAliases() } = options;
+        const players = {};
+
+        filterByDateRange(tournaments, from, to)
+            .forEach(tournament => {
+                const ranked = Tournament.rankPlayers(tournament);
+                const ranks = new Map(ranked.map(p => [p.name, p.rank]));
+
+                // Leavers whose points went to a substitute are not ranked on the night,
+                // but the points and games are theirs for the season.
+                // Starting points of late arrivals were not earned, so they don't count either.
+                Object.values(Tournament.calculateStats(tournament)).forEach(stats => {
+                    const rank = ranks.get(stats.name) || null;
+                    const points = stats.totalPoints - (stats.inheritedPoints || 0) - (stats.startingPoints || 0);
+                    const key = resolvePlayerKey(stats.name, aliases);
+                    if (!players[key]) {
+                        players[key] = {
+                            key: key,
+                            name: '',
+                            spellings: {},
+                            attendance: 0,
+                            totalPoints: 0,
+                            compensationPoints: 0,
+                            gamesPlayed: 0,
+                            wins: 0,
+                            draws: 0,
+                            losses: 0,
+                            pointsPerGame: 0,
+                            winPercentage: 0,
+                            bestFinish: null,
+                            finishes: []
+                        };
+                    }
+
+                    const player = players[key];
+                    const spelling = stats.name.trim();
+                    player.spellings[spelling] = (player.spellings[spelling] || 0) + 1;
+                    player.attendance++;
+                    player.totalPoints += points;
+                    player.compensationPoints += stats.compensationPoints;
+                    player.gamesPlayed += stats.gamesPlayed;
+                    player.wins += stats.wins;
+                    player.draws += stats.draws;
+                    player.losses += stats.losses;
+                    if (rank !== null) {
+                        player.bestFinish = player.bestFinish === null ? rank : Math.min(player.bestFinish, rank);
+                    }
+                    player.finishes.push({
+                        date: tournament.tournamentDate,
+                        tournamentName: tournament.name,
+                        rank: rank,
+                        playerCount: ranked.length,
+                        totalPoints: points,
+                        gamesPlayed: stats.gamesPlayed,
+                        wins: stats.wins,
+                        draws: stats.draws,
+                        losses: stats.losses
+                    });
+                });
+            });
+
+        const list = Object.values(players);
+        list.forEach(player => {
+            // Display the merge target, otherwise the most used (then latest) spelling
+            const target = Object.values(aliases).find(name => normalizeName(name) === player.key);
+            player.name = target
+                ? target.trim()
+                : Object.keys(player.spellings).reduce((best, name) =>
+                    player.spellings[name] >= player.spellings[best] ? name : best);
+
+            if (player.gamesPlayed > 0) {
+                player.pointsPerGame = (player.totalPoints - player.compensationPoints) / player.gamesPlayed;
+                player.winPercentage = (player.wins / player.gamesPlayed) * 100;
+            }
+        });
+
+        return rankSeasonPlayers(list);
+    }
+
+    /**
+     * Rank season players: Total Points → Wins → Points Per Game → Name
+     * (same order as a single tournament night)
+     * @param {Array<Object>} players - Season stats per player
+     * @returns {Array<Object>} Sorted players with rank assigned
+     */
+    function rankSeasonPlayers(players) {
+        players.sort((a, b) => {
+            if (b.totalPoints !== a.totalPoints) return b.totalPoints - a.totalPoints;
+            if (b.wins !== a.wins) return b.wins - a.wins;
+            if (b.pointsPerGame !== a.pointsPerGame) return b.pointsPerGame - a.pointsPerGame;
+            return a.name.localeCompare(b.name);
+        });
+
+        players.forEach((player, index) => {
+            const prev = players[index - 1];
+            player.rank = prev && player.totalPoints === prev.totalPoints && player.wins === prev.wins
+                ? prev.rank
+                : index + 1;
+        });
+
+        return players;
+    }
+
+    // Public API
+    return {
+        normalizeName,
+        resolvePlayerKey,
+        addAlias,
+        removeAlias,
+        loadTournaments,
+        filterByDateRange,
+        calculateSeasonStats
+    };
+})();
@@ -0,0 +1,176 @@
+/**
+ * Spectator module for Mexicano Tournament
+ * Read-only scoreboard for a big screen: reads the published tournament file
+ * without credentials and refreshes it on an interval
+ */
+
+const Spectator = (function () {
+    const REFRESH_INTERVAL_MS = 20000;
+
+    // How long a match stays highlighted after its score appears
+    const HIGHLIGHT_MS = 60000;
+
+    let date = null;
+    let source = null;
+    let refreshTimer = null;
+    let previous = null;
+    let finishedAt = {};
+    let onUpdate = () => { };
+
+    /**
+     * Set the function called after every refresh
+     * @param {Function} listener - Called with { tournament, highlighted, updatedAt, error }
+     */
+    function setListener(listener) {
+        onUpdate = listener;
+    }
+
+    /**
+     * Get the URLs a published tournament can be read from, in order of preference:
+     * the Pages site serving this app, then the raw file in the repository
+     * @param {string} tournamentDate - Tournament date in YYYY-MM-DD format
+     * @param {string|null} repository - 'owner/repo' to read from (defaults to the configured one)
+     * @returns {Array<string>} URLs
+     */
+    function getSourceUrls(tournamentDate, repository = null) {
+        const path = Config.getTournamentFilePath(tournamentDate);
+        const urls = [path];
+
+        const repo = repository || (Config.getGitHubUser() && Config.getGitHubRepo()
+            ? `${Config.getGitHubUser()}/${Config.getGitHubRepo()}`
+            : null);
+        if (repo) {
+            urls.push(`https://raw.githubusercontent.com/${repo}/${Config.getGitHubBranch()}/${path}`);
+        }
+
+        return urls;
+    }
+
+    /**
+     * Read a published tournament without credentials
+     * @param {string} tournamentDate - Tournament date in YYYY-MM-DD format
+     * @param {string|null} repository - 'owner/repo' to read from (optional)
+     * @returns {Promise<Object>} Tournament data object
+     */
+    async function fetchTournament(tournamentDate, repository = null) {
+        let lastError = null;
+
+        for (const url of getSourceUrls(tournamentDate, repository)) {
+            try {
+                // Bypass HTTP caches so every refresh sees the latest scores
+                const response = await fetch(`${url}?t=${Date.now()}`, { cache: 'no-store' });
+                if (response.ok) {
+                    return TournamentSchema.load(await response.json());
+                }
+                lastError = new Error(response.status === 404
+                    ? `No published tournament for ${tournamentDate}`
+                    : `Could not load tournament: ${response.status}`);
+            } catch (error) {
+                lastError = error;
+            }
+        }
+
+        throw lastError;
+    }
+
+    /**
+     * Find matches that have a score now but did not in the previous version
+     * @param {Object|null} before - Previous version of the tournament
+     * @param {Object} after - Latest version of the tournament
+     * @returns {Array<string>} Match keys ('roundNumber-matchId')
+     */
+    function findNewlyFinished(before, after) {
+        if (!before) return [];
+
+        const scoring = Tournament.getScoringRules(after);
+        const done = new Set();
+        before.rounds.forEach(round => {
+            round.matches.forEach(match => {
+                if (Tournament.isMatchComplete(match, scoring)) done.add(`${round.roundNumber}-${match.id}`);
+            });
+        });
+
+        const finished = [];
+        after.rounds.forEach(round => {
+            round.matches.forEach(match => {
+                const key = `${round.roundNumber}-${match.id}`;
+                if (Tournament.isMatchComplete(match, scoring) && !done.has(key)) finished.push(key);
+            });
+        });
+        return finished;
+    }
+
+    /**
+     * Load the latest version and notify the listener
+     */
+    async function refresh() {
+        try {
+            const tournament = await fetchTournament(date, source);
+            const now = Date.now();
+
+            findNewlyFinished(previous, tournament).forEach(key => {
+                finishedAt[key] = now;
+            });
+            Object.keys(finishedAt).forEach(key => {
+                if (now - finishedAt[key] > HIGHLIGHT_MS) delete finishedAt[key];
+            });
+
+            previous = tournament;
+            onUpdate({
+                tournament: tournament,
+                highlighted: Object.keys(finishedAt),
+                updatedAt: new Date(now),
+                error: null
+            });
+        } catch (error) {
+            // Keep showing the last version; the next refresh may succeed
+            onUpdate({
+                tournament: previous,
+                highlighted: Object.keys(finishedAt),
+                updatedAt: null,
+                error: error
+            });
+        }
+    }
+
+    /**
+     * Start following a tournament
+     * @param {string} tournamentDate - Tournament date in YYYY-MM-DD format
+     * @param {string|null} repository - 'owner/repo' to read from (optional)
+     */
+    function start(tournamentDate, repository = null) {
+        stop();
+        date = tournamentDate;
+        source = repository;
+        previous = null;
+        finishedAt = {};
+
+        refresh();
+        refreshTimer = setInterval(refresh, REFRESH_INTERVAL_MS);
+    }
+
+    /**
+     * Stop refreshing
+     */
+    function stop() {
+        clearInterval(refreshTimer);
+        refreshTimer = null;
+    }
+
+    function isRunning() {
+        return refreshTimer !== null;
+    }
+
+    // Public API
+    return {
+        REFRESH_INTERVAL_MS,
+        setListener,
+        getSourceUrls,
+        fetchTournament,
+        findNewlyFinished,
+        start,
+        stop,
+        refresh,
+        isRunning
+    };
+})();
@@ -0,0 +1,258 @@
+/**
+ * Folder storage backend for Mexicano Tournament
+ * Reads and writes plain {date}.json files in a local folder chosen by the user
+ * (File System Access API)
+ */
+
+const FolderStorage = (function () {
+    // The folder handle is remembered in IndexedDB so it survives a reload
+    const HANDLE_DB_NAME = 'mexicano-folder';
+    const HANDLE_STORE_NAME = 'handles';
+    const HANDLE_KEY = 'tournaments';
+
+    let directoryHandle = null;
+    let savedHandle = null; // Remembered folder still waiting for permission
+
+    /**
+     * Run a single request against the remembered-handle store
+     * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
+     * @param {Function} operation - Receives the object store, returns an IDBRequest
+     * @returns {Promise<*>} Request result
+     */
+    function withHandleStore(mode, operation) {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(HANDLE_DB_NAME, 1);
+
+            request.onupgradeneeded = () => request.result.createObjectStore(HANDLE_STORE_NAME);
+            request.onerror = () => reject(request.error);
+            request.onsuccess = () => {
+                const db = request.result;
+                const transaction = db.transaction(HANDLE_STORE_NAME, mode);
+                const result = operation(transaction.objectStore(HANDLE_STORE_NAME));
+
+                transaction.oncomplete = () => {
+                    db.close();
+                    resolve(result.result);
+                };
+                transaction.onerror = () => reject(transaction.error);
+                transaction.onabort = () => reject(transaction.error);
+            };
+        });
+    }
+
+    /**
+     * Check if the browser supports picking a folder
+     * @returns {boolean} True if supported
+     */
+    function isSupported() {
+        return typeof window.showDirectoryPicker === 'function';
+    }
+
+    /**
+     * Check if a folder has been chosen
+     * @returns {boolean} True if ready
+     */
+    function isReady() {
+        return directoryHandle !== null;
+    }
+
+    /**
+     * Get the name of the chosen folder
+     * @returns {string} Folder name or empty string
+     */
+    function getFolderName() {
+        const handle = directoryHandle || savedHandle;
+        return handle ? handle.name : '';
+    }
+
+    /**
+     * Check if a remembered folder needs the user to allow access again
+     * @returns {boolean} True if chooseFolder() will ask for permission
+     */
+    function needsPermission() {
+        return directoryHandle === null && savedHandle !== null;
+    }
+
+    /**
+     * Reopen the folder chosen in an earlier session. Browsers only grant
+     * access again without a prompt when the user allowed it permanently;
+     * otherwise the folder waits for chooseFolder() to ask.
+     * @returns {Promise<boolean>} True if the folder is ready
+     */
+    async function restoreFolder() {
+        if (directoryHandle) return true;
+        if (!isSupported() || typeof indexedDB === 'undefined') return false;
+
+        try {
+            const handle = await withHandleStore('readonly', store => store.get(HANDLE_KEY));
+            if (!handle) return false;
+
+            if (await handle.queryPermission({ mode: 'readwrite' }) === 'granted') {
+                directoryHandle = handle;
+                savedHandle = null;
+                return true;
+            }
+
+            savedHandle = handle;
+        } catch (error) {
+            console.warn('Could not restore the tournaments folder:', error);
+        }
+        return false;
+    }
+
+    /**
+     * Ask the user to allow the remembered folder again, or to pick the
+     * tournaments folder if there is none (requires a user gesture)
+     * @returns {Promise<string>} Name of the chosen folder
+     */
+    async function chooseFolder() {
+        if (!isSupported()) {
+            throw new Error('This browser cannot open local folders');
+        }
+
+        if (savedHandle) {
+            const handle = savedHandle;
+            savedHandle = null;
+            if (await handle.requestPermission({ mode: 'readwrite' }) === 'granted') {
+                directoryHandle = handle;
+                return directoryHandle.name;
+            }
+        }
+
+        directoryHandle = await window.showDirectoryPicker({ mode: 'readwrite' });
+
+        try {
+            await withHandleStore('readwrite', store => store.put(directoryHandle, HANDLE_KEY));
+        } catch (error) {
+            console.warn('Could not remember the tournaments folder:', error);
+        }
+        return directoryHandle.name;
+    }
+
+    function getDirectory() {
+        if (!directoryHandle) {
+            throw new Error('No tournaments folder selected');
+        }
+        return directoryHandle;
+    }
+
+    /**
+     * List all tournament files in the folder
+     * @returns {Promise<Array>} Array of tournament metadata objects
+     */
+    async function listTournaments() {
+        const directory = getDirectory();
+        const tournaments = [];
+
+        try {
+            for await (const [name, handle] of directory.entries()) {
+                if (handle.kind !== 'file' || !name.endsWith('.json')) continue;
+
+                tournaments.push({
+                    date: name.replace('.json', ''),
+                    name: name,
+                    path: name,
+                    sha: null
+                });
+            }
+
+            return tournaments.sort((a, b) => b.date.localeCompare(a.date)); // Most recent first
+        } catch (error) {
+            console.error('Error listing tournaments:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Load a specific tournament by date
+     * @param {string} date - Tournament date in YYYY-MM-DD format
+     * @returns {Promise<Object|null>} Tournament data object or null if not found
+     */
+    async function loadTournament(date) {
+        const directory = getDirectory();
+
+        try {
+            const fileHandle = await directory.getFileHandle(`${date}.json`);
+            const file = await fileHandle.getFile();
+            return JSON.parse(await file.text());
+        } catch (error) {
+            if (error.name === 'NotFoundError') {
+                return null;
+            }
+            console.error('Error loading tournament:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Save tournament data to a JSON file in the folder
+     * @param {Object} tournament - Tournament data object
+     * @returns {Promise<Object>} Saved tournament
+     */
+    async function saveTournament(tournament) {
+        const directory = getDirectory();
+
+        // Update timestamp
+        tournament.updatedAt = new Date().toISOString();
+        if (!tournament.createdAt) {
+            tournament.createdAt = tournament.updatedAt;
+        }
+
+        // Remove internal properties before saving
+        const dataToSave = { ...tournament };
+        delete dataToSave._sha;
+
+        try {
+            const fileHandle = await directory.getFileHandle(`${tournament.tournamentDate}.json`, { create: true });
+            const writable = await fileHandle.createWritable();
+            await writable.write(JSON.stringify(dataToSave, null, 2));
+            await writable.close();
+            return tournament;
+        } catch (error) {
+            console.error('Error saving tournament:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a tournament file from the folder
+     * @param {string} date - Tournament date in YYYY-MM-DD format
+     * @returns {Promise<boolean>} True if deletion was successful
+     */
+    async function deleteTournament(date) {
+        const directory = getDirectory();
+
+        try {
+            await directory.removeEntry(`${date}.json`);
+            return true;
+        } catch (error) {
+            console.error('Error deleting tournament:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Check if a tournament exists for a given date
+     * @param {string} date - Tournament date in YYYY-MM-DD format
+     * @returns {Promise<boolean>} True if tournament exists
+     */
+    async function tournamentExists(date) {
+        const tournament = await loadTournament(date);
+        return tournament !== null;
+    }
+
+    // Public API
+    return {
+        isSupported,
+        isReady,
+        getFolderName,
+        needsPermission,
+        restoreFolder,
+        chooseFolder,
+        listTournaments,
+        loadTournament,
+        saveTournament,
+        deleteTournament,
+        tournamentExists
+    };
+})();
@@ -0,0 +1,311 @@
+/**
+ * GitHub storage backend for Mexicano Tournament
+ * Persists tournament files in a repository through the GitHub contents API
+ */
+
+const GitHubStorage = (function () {
+    // How many times a save is retried after merging with a newer remote version
+    const MAX_MERGE_ATTEMPTS = 3;
+
+    // Last version of each tournament read from or written to GitHub (merge base)
+    const baseVersions = {};
+
+    // Asked to choose between local and remote scores; resolves to 'local'/'remote' per conflict
+    let conflictResolver = async (conflicts) => conflicts.map(() => 'local');
+
+    /**
+     * Strip internal properties from a tournament
+     */
+    function toStoredData(tournament) {
+        const data = JSON.parse(JSON.stringify(tournament));
+        delete data._sha;
+        delete data._merged;
+        return data;
+    }
+
+    /**
+     * Set the function used to resolve score conflicts during a merge
+     * @param {Function} resolver - async (conflicts) => Array<'local'|'remote'>
+     */
+    function setConflictResolver(resolver) {
+        conflictResolver = resolver;
+    }
+
+    /**
+     * Check if a failed save was caused by an outdated SHA
+     * (409 when the file changed, 422 when the file appeared and no SHA was sent)
+     */
+    function isShaConflict(status, errorData) {
+        if (status === 409) return true;
+        return status === 422 && /sha/i.test(errorData.message || '');
+    }
+    /**
+     * Get authorization headers for GitHub API
+     */
+    function getAuthHeaders() {
+        const pat = Config.getGitHubPAT();
+        return {
+            'Authorization': `token ${pat}`,
+            'Accept': 'application/vnd.github.v3+json',
+            'Content-Type': 'application/json'
+        };
+    }
+
+    /**
+     * List all tournament files in the repository
+     * @returns {Promise<Array>} Array of tournament metadata objects
+     */
+    async function listTournaments() {
+        if (!Config.isConfigured()) {
+            throw new Error('GitHub configuration is not complete');
+        }
+
+        const url = `${Config.getContentsUrl(Config.getTournamentsPath())}?ref=${Config.getGitHubBranch()}`;
+
+        try {
+            const response = await fetch(url, {
+                method: 'GET',
+                headers: getAuthHeaders()
+            });
+
+            if (response.status === 404) {
+                // Tournaments folder doesn't exist yet
+                return [];
+            }
+
+            if (!response.ok) {
+                throw new Error(`GitHub API error: ${response.status}`);
+            }
+
+            const files = await response.json();
+
+            // Filter for JSON files and extract tournament dates
+            return files
+                .filter(file => file.name.endsWith('.json'))
+                .map(file => ({
+                    date: file.name.replace('.json', ''),
+                    name: file.name,
+                    path: file.path,
+                    sha: file.sha
+                }))
+                .sort((a, b) => b.date.localeCompare(a.date)); // Most recent first
+        } catch (error) {
+            console.error('Error listing tournaments:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Load a specific tournament by date
+     * @param {string} date - Tournament date in YYYY-MM-DD format
+     * @returns {Promise<Object>} Tournament data object
+     */
+    async function loadTournament(date) {
+        if (!Config.isConfigured()) {
+            throw new Error('GitHub configuration is not complete');
+        }
+
+        const path = Config.getTournamentFilePath(date);
+        const url = `${Config.getContentsUrl(path)}?ref=${Config.getGitHubBranch()}`;
+
+        try {
+            const response = await fetch(url, {
+                method: 'GET',
+                headers: getAuthHeaders()
+            });
+
+            if (response.status === 404) {
+                return null;
+            }
+
+            if (!response.ok) {
+                throw new Error(`GitHub API error: ${response.status}`);
+            }
+
+            const fileData = await response.json();
+
+            // GitHub returns content as base64 encoded
+            const content = atob(fileData.content);
+            const tournament = JSON.parse(content);
+
+            // Remember this version as the base for merging later saves,
+            // upgraded so it compares field by field with the local copy
+            baseVersions[date] = TournamentSchema.migrate(toStoredData(tournament));
+
+            // Store SHA for updates
+            tournament._sha = fileData.sha;
+
+            return tournament;
+        } catch (error) {
+            console.error('Error loading tournament:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Merge local changes into the version another device saved meanwhile.
+     * Updates the tournament in place and marks it with _merged.
+     * @param {Object} tournament - Local tournament data object
+     */
+    async function mergeWithRemote(tournament) {
+        const date = tournament.tournamentDate;
+        const base = baseVersions[date] || null;
+
+        const remote = await loadTournament(date);
+        if (!remote) {
+            // Deleted remotely: saving without a SHA recreates it
+            delete tournament._sha;
+            return;
+        }
+        // An older file is upgraded (and a corrupt one refused) before merging
+        TournamentSchema.load(remote);
+
+        const { merged, conflicts } = Merge.mergeTournaments(base, toStoredData(tournament), remote);
+        if (conflicts.length > 0) {
+            const choices = await conflictResolver(conflicts);
+            Merge.resolveConflicts(merged, conflicts, choices);
+        }
+
+        Object.keys(tournament).forEach(key => delete tournament[key]);
+        Object.assign(tournament, merged);
+        tournament._sha = remote._sha;
+        tournament._merged = true;
+    }
+
+    /**
+     * Save tournament data to repository
+     * If another device saved in the meantime, the remote version is merged in and the save retried
+     * @param {Object} tournament - Tournament data object
+     * @param {number} attempt - Save attempt (internal)
+     * @returns {Promise<Object>} Updated tournament with new SHA
+     */
+    async function saveTournament(tournament, attempt = 1) {
+        if (!Config.isConfigured()) {
+            throw new Error('GitHub configuration is not complete');
+        }
+
+        const date = tournament.tournamentDate;
+        const path = Config.getTournamentFilePath(date);
+        const url = Config.getContentsUrl(path);
+
+        // Update timestamp
+        tournament.updatedAt = new Date().toISOString();
+        if (!tournament.createdAt) {
+            tournament.createdAt = tournament.updatedAt;
+        }
+
+        // Remove internal properties before saving
+        const dataToSave = toStoredData(tournament);
+
+        const content = btoa(unescape(encodeURIComponent(JSON.stringify(dataToSave, null, 2))));
+
+        const body = {
+            message: `Update tournament ${date}`,
+            content: content,
+            branch: Config.getGitHubBranch()
+        };
+
+        // Include SHA if updating existing file
+        if (tournament._sha) {
+            body.sha = tournament._sha;
+        }
+
+        try {
+            const response = await fetch(url, {
+                method: 'PUT',
+                headers: getAuthHeaders(),
+                body: JSON.stringify(body)
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json();
+
+                if (isShaConflict(response.status, errorData) && attempt < MAX_MERGE_ATTEMPTS) {
+                    await mergeWithRemote(tournament);
+                    return saveTournament(tournament, attempt + 1);
+                }
+
+                throw new Error(`GitHub API error: ${response.status} - ${errorData.message}`);
+            }
+
+            const result = await response.json();
+
+            // Update SHA and merge base for future updates
+            tournament._sha = result.content.sha;
+            baseVersions[date] = dataToSave;
+
+            return tournament;
+        } catch (error) {
+            console.error('Error saving tournament:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a tournament file from repository
+     * @param {string} date - Tournament date in YYYY-MM-DD format
+     * @param {string} sha - SHA of the file to delete
+     * @returns {Promise<boolean>} True if deletion was successful
+     */
+    async function deleteTournament(date, sha) {
+        if (!Config.isConfigured()) {
+            throw new Error('GitHub configuration is not complete');
+        }
+
+        const path = Config.getTournamentFilePath(date);
+        const url = Config.getContentsUrl(path);
+
+        const body = {
+            message: `Delete tournament ${date}`,
+            sha: sha,
+            branch: Config.getGitHubBranch()
+        };
+
+        try {
+            const response = await fetch(url, {
+                method: 'DELETE',
+                headers: getAuthHeaders(),
+                body: JSON.stringify(body)
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json();
+                throw new Error(`GitHub API error: ${response.status} - ${errorData.message}`);
+            }
+
+            return true;
+        } catch (error) {
+            console.error('Error deleting tournament:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Check if a tournament exists for a given date
+     * @param {string} date - Tournament date in YYYY-MM-DD format
+     * @returns {Promise<boolean>} True if tournament exists
+     */
+    async function tournamentExists(date) {
+        const tournament = await loadTournament(date);
+        return tournament !== null;
+    }
+
+    /**
+     * Check if the backend can be used (credentials are configured)
+     * @returns {boolean} True if ready
+     */
+    function isReady() {
+        return Boolean(Config.isConfigured());
+    }
+
+    // Public API
+    return {
+        isReady,
+        setConflictResolver,
+        listTournaments,
+        loadTournament,
+        saveTournament,
+        deleteTournament,
+        tournamentExists
+    };
+})();
@@ -0,0 +1,163 @@
+/**
+ * IndexedDB storage backend for Mexicano Tournament
+ * Keeps tournament data in the browser, no account or network required
+ */
+
+const IndexedDBStorage = (function () {
+    const DB_NAME = 'mexicano';
+    const DB_VERSION = 1;
+    const STORE_NAME = 'tournaments';
+
+    let dbPromise = null;
+
+    /**
+     * Open (and create on first use) the tournament database
+     * @returns {Promise<IDBDatabase>} Open database
+     */
+    function openDatabase() {
+        if (dbPromise) return dbPromise;
+
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(STORE_NAME)) {
+                    db.createObjectStore(STORE_NAME, { keyPath: 'tournamentDate' });
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                dbPromise = null;
+                reject(request.error);
+            };
+        });
+
+        return dbPromise;
+    }
+
+    /**
+     * Run a single request against the tournament store
+     * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
+     * @param {Function} operation - Receives the object store, returns an IDBRequest
+     * @returns {Promise<*>} Request result
+     */
+    async function withStore(mode, operation) {
+        const db = await openDatabase();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_NAME, mode);
+            const request = operation(transaction.objectStore(STORE_NAME));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Check if the backend can be used in this browser
+     * @returns {boolean} True if IndexedDB is available
+     */
+    function isReady() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * List all tournaments stored in the browser
+     * @returns {Promise<Array>} Array of tournament metadata objects
+     */
+    async function listTournaments() {
+        try {
+            const dates = await withStore('readonly', store => store.getAllKeys());
+
+            return dates
+                .map(date => ({
+                    date: date,
+                    name: `${date}.json`,
+                    path: Config.getTournamentFilePath(date),
+                    sha: null
+                }))
+                .sort((a, b) => b.date.localeCompare(a.date)); // Most recent first
+        } catch (error) {
+            console.error('Error listing tournaments:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Load a specific tournament by date
+     * @param {string} date - Tournament date in YYYY-MM-DD format
+     * @returns {Promise<Object|null>} Tournament data object or null if not found
+     */
+    async function loadTournament(date) {
+        try {
+            const tournament = await withStore('readonly', store => store.get(date));
+            return tournament || null;
+        } catch (error) {
+            console.error('Error loading tournament:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Save tournament data to the browser database
+     * @param {Object} tournament - Tournament data object
+     * @returns {Promise<Object>} Saved tournament
+     */
+    async function saveTournament(tournament) {
+        // Update timestamp
+        tournament.updatedAt = new Date().toISOString();
+        if (!tournament.createdAt) {
+            tournament.createdAt = tournament.updatedAt;
+        }
+
+        // Remove internal properties before saving
+        const dataToSave = JSON.parse(JSON.stringify(tournament));
+        delete dataToSave._sha;
+
+        try {
+            await withStore('readwrite', store => store.put(dataToSave));
+            return tournament;
+        } catch (error) {
+            console.error('Error saving tournament:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a tournament from the browser database
+     * @param {string} date - Tournament date in YYYY-MM-DD format
+     * @returns {Promise<boolean>} True if deletion was successful
+     */
+    async function deleteTournament(date) {
+        try {
+            await withStore('readwrite', store => store.delete(date));
+            return true;
+        } catch (error) {
+            console.error('Error deleting tournament:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Check if a tournament exists for a given date
+     * @param {string} date - Tournament date in YYYY-MM-DD format
+     * @returns {Promise<boolean>} True if tournament exists
+     */
+    async function tournamentExists(date) {
+        const tournament = await loadTournament(date);
+        return tournament !== null;
+    }
+
+    // Public API
+    return {
+        isReady,
+        listTournaments,
+        loadTournament,
+        saveTournament,
+        deleteTournament,
+        tournamentExists
+    };
+})();
@@ -1,224 +1,167 @@
 /**
  * Storage module for Mexicano Tournament
- * Handles GitHub API integration for tournament data persistence
+ * Delegates tournament persistence to the backend selected in settings
+ * and handles JSON file export/import
  */
 
 const Storage = (function () {
     /**
-     * Get authorization headers for GitHub API
+     * Backend adapters, keyed by Config.BACKENDS value.
+     * Every adapter implements isReady, listTournaments, loadTournament,
+     * saveTournament, deleteTournament and tournamentExists.
      */
-    function getAuthHeaders() {
-        const pat = Config.getGitHubPAT();
-        return {
-            'Authorization': `token ${pat}`,
-            'Accept': 'application/vnd.github.v3+json',
-            'Content-Type': 'application/json'
-        };
-    }
+    const adapters = {
+        [Config.BACKENDS.GITHUB]: GitHubStorage,
+        [Config.BACKENDS.INDEXEDDB]: IndexedDBStorage,
+        [Config.BACKENDS.FOLDER]: FolderStorage
+    };
 
     /**
-     * List all tournament files in the repository
-     * @returns {Promise<Array>} Array of tournament metadata objects
+     * Get the adapter for the currently selected backend
+     * @returns {Object} Storage adapter
      */
-    async function listTournaments() {
-        if (!Config.isConfigured()) {
-            throw new Error('GitHub configuration is not complete');
-        }
+    function getAdapter() {
+        return adapters[Config.getStorageBackend()];
+    }
 
-        const url = `${Config.getContentsUrl(Config.getTournamentsPath())}?ref=${Config.getGitHubBranch()}`;
+    /**
+     * Check if the selected backend is ready to use
+     * @returns {boolean} True if ready
+     */
+    function isReady() {
+        return getAdapter().isReady();
+    }
 
-        try {
-            const response = await fetch(url, {
-                method: 'GET',
-                headers: getAuthHeaders()
-            });
-
-            if (response.status === 404) {
-                // Tournaments folder doesn't exist yet
-                return [];
-            }
-
-            if (!response.ok) {
-                throw new Error(`GitHub API error: ${response.status}`);
-            }
-
-            const files = await response.json();
-
-            // Filter for JSON files and extract tournament dates
-            return files
-                .filter(file => file.name.endsWith('.json'))
-                .map(file => ({
-                    date: file.name.replace('.json', ''),
-                    name: file.name,
-                    path: file.path,
-                    sha: file.sha
-                }))
-                .sort((a, b) => b.date.localeCompare(a.date)); // Most recent first
-        } catch (error) {
-            console.error('Error listing tournaments:', error);
-            throw error;
+    function ensureReady() {
+        if (!isReady()) {
+            throw new Error('Storage is not configured');
         }
     }
 
     /**
-     * Load a specific tournament by date
+     * List all tournaments
+     * @returns {Promise<Array>} Array of tournament metadata objects
+     */
+    async function listTournaments() {
+        ensureReady();
+        return getAdapter().listTournaments();
+    }
+
+    /**
+     * Load a specific tournament by date, upgraded to the current file version
      * @param {string} date - Tournament date in YYYY-MM-DD format
-     * @returns {Promise<Object>} Tournament data object
+     * @returns {Promise<Object|null>} Tournament data object or null if not found
+     * @throws {Error} If the file does not match the schema
      */
     async function loadTournament(date) {
-        if (!Config.isConfigured()) {
-            throw new Error('GitHub configuration is not complete');
-        }
-
-        const path = Config.getTournamentFilePath(date);
-        const url = `${Config.getContentsUrl(path)}?ref=${Config.getGitHubBranch()}`;
-
-        try {
-            const response = await fetch(url, {
-                method: 'GET',
-                headers: getAuthHeaders()
-            });
-
-            if (response.status === 404) {
-                return null;
-            }
-
-            if (!response.ok) {
-                throw new Error(`GitHub API error: ${response.status}`);
-            }
-
-            const fileData = await response.json();
-
-            // GitHub returns content as base64 encoded
-            const content = atob(fileData.content);
-            const tournament = JSON.parse(content);
-
-            // Store SHA for updates
-            tournament._sha = fileData.sha;
-
-            return tournament;
-        } catch (error) {
-            console.error('Error loading tournament:', error);
-            throw error;
-        }
+        ensureReady();
+        const tournament = await getAdapter().loadTournament(date);
+        return tournament ? TournamentSchema.load(tournament) : null;
     }
 
     /**
-     * Save tournament data to repository
+     * Save tournament data
      * @param {Object} tournament - Tournament data object
-     * @returns {Promise<Object>} Updated tournament with new SHA
+     * @returns {Promise<Object>} Saved tournament
+     * @throws {Error} If the tournament does not match the schema (nothing is written)
      */
     async function saveTournament(tournament) {
-        if (!Config.isConfigured()) {
-            throw new Error('GitHub configuration is not complete');
-        }
+        ensureReady();
+        TournamentSchema.load(tournament);
+        return getAdapter().saveTournament(tournament);
+    }
 
-        const date = tournament.tournamentDate;
-        const path = Config.getTournamentFilePath(date);
-        const url = Config.getContentsUrl(path);
+    /**
+     * Delete a tournament
+     * @param {string} date - Tournament date in YYYY-MM-DD format
+     * @param {string} sha - SHA of the file (GitHub backend only)
+     * @returns {Promise<boolean>} True if deletion was successful
+     */
+    async function deleteTournament(date, sha) {
+        ensureReady();
+        return getAdapter().deleteTournament(date, sha);
+    }
 
-        // Update timestamp
-        tournament.updatedAt = new Date().toISOString();
-        if (!tournament.createdAt) {
-            tournament.createdAt = tournament.updatedAt;
-        }
+    /**
+     * Check if a tournament exists for a given date
+     * @param {string} date - Tournament date in YYYY-MM-DD format
+     * @returns {Promise<boolean>} True if tournament exists
+     */
+    async function tournamentExists(date) {
+        ensureReady();
+        return getAdapter().tournamentExists(date);
+    }
 
-        // Remove internal properties before saving
+    /**
+     * Set how score conflicts between devices are resolved (GitHub backend)
+     * @param {Function} resolver - async (conflicts) => Array<'local'|'remote'>
+     */
+    function setConflictResolver(resolver) {
+        GitHubStorage.setConflictResolver(resolver);
+    }
+
+    /**
+     * Download a tournament as a {date}.json file
+     * @param {Object} tournament - Tournament data object
+     */
+    function exportTournament(tournament) {
         const dataToSave = { ...tournament };
         delete dataToSave._sha;
+        delete dataToSave._merged;
 
-        const content = btoa(unescape(encodeURIComponent(JSON.stringify(dataToSave, null, 2))));
-
-        const body = {
-            message: `Update tournament ${date}`,
-            content: content,
-            branch: Config.getGitHubBranch()
-        };
-
-        // Include SHA if updating existing file
-        if (tournament._sha) {
-            body.sha = tournament._sha;
-        }
-
-        try {
-            const response = await fetch(url, {
-                method: 'PUT',
-                headers: getAuthHeaders(),
-                body: JSON.stringify(body)
-            });
-
-            if (!response.ok) {
-                const errorData = await response.json();
-                throw new Error(`GitHub API error: ${response.status} - ${errorData.message}`);
-            }
-
-            const result = await response.json();
+        const blob = new Blob([JSON.stringify(dataToSave, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
 
-            // Update SHA for future updates
-            tournament._sha = result.content.sha;
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${tournament.tournamentDate}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
 
-            return tournament;
-        } catch (error) {
-            console.error('Error saving tournament:', error);
-            throw error;
-        }
+        URL.revokeObjectURL(url);
     }
 
     /**
-     * Delete a tournament file from repository
-     * @param {string} date - Tournament date in YYYY-MM-DD format
-     * @param {string} sha - SHA of the file to delete
-     * @returns {Promise<boolean>} True if deletion was successful
+     * Import a tournament JSON file into the selected backend
+     * @param {File} file - File chosen by the user
+     * @returns {Promise<Object>} Imported tournament
      */
-    async function deleteTournament(date, sha) {
-        if (!Config.isConfigured()) {
-            throw new Error('GitHub configuration is not complete');
+    async function importTournament(file) {
+        let tournament;
+        try {
+            tournament = JSON.parse(await file.text());
+        } catch (error) {
+            throw new Error(`${file.name} is not valid JSON`);
         }
 
-        const path = Config.getTournamentFilePath(date);
-        const url = Config.getContentsUrl(path);
+        if (!tournament.tournamentDate || !Array.isArray(tournament.players) || !Array.isArray(tournament.rounds)) {
+            throw new Error(`${file.name} is not a tournament file`);
+        }
+        TournamentSchema.migrate(tournament);
+        TournamentSchema.assertValid(tournament, file.name);
 
-        const body = {
-            message: `Delete tournament ${date}`,
-            sha: sha,
-            branch: Config.getGitHubBranch()
-        };
+        delete tournament._sha;
 
-        try {
-            const response = await fetch(url, {
-                method: 'DELETE',
-                headers: getAuthHeaders(),
-                body: JSON.stringify(body)
-            });
-
-            if (!response.ok) {
-                const errorData = await response.json();
-                throw new Error(`GitHub API error: ${response.status} - ${errorData.message}`);
-            }
-
-            return true;
-        } catch (error) {
-            console.error('Error deleting tournament:', error);
-            throw error;
+        // Keep the SHA of an existing GitHub file so the import overwrites it
+        const existing = await loadTournament(tournament.tournamentDate);
+        if (existing && existing._sha) {
+            tournament._sha = existing._sha;
         }
-    }
 
-    /**
-     * Check if a tournament exists for a given date
-     * @param {string} date - Tournament date in YYYY-MM-DD format
-     * @returns {Promise<boolean>} True if tournament exists
-     */
-    async function tournamentExists(date) {
-        const tournament = await loadTournament(date);
-        return tournament !== null;
+        return saveTournament(tournament);
     }
 
     // Public API
     return {
+        isReady,
         listTournaments,
         loadTournament,
         saveTournament,
         deleteTournament,
-        tournamentExists
+        tournamentExists,
+        setConflictResolver,
+        exportTournament,
+        importTournament
     };
 })();
@@ -0,0 +1,314 @@
+/**
+ * Sync module for Mexicano Tournament
+ * Offline-first saving: every save is written to a local queue first and
+ * replayed to the storage backend when connectivity allows
+ */
+
+const Sync = (function () {
+    // LocalStorage keys
+    const QUEUE_KEY = 'mexicano_sync_queue';
+    const CACHE_PREFIX = 'mexicano_tournament_';
+
+    // Retry pending saves periodically while something is queued
+    const RETRY_INTERVAL_MS = 30000;
+
+    // Most recent tournaments kept for offline use (localStorage is small)
+    const MAX_CACHED_TOURNAMENTS = 20;
+
+    let flushPromise = null;
+    let retryTimer = null;
+    const knownShas = {};
+    const listeners = [];
+
+    /**
+     * Read the pending queue from localStorage
+     * @returns {Array<Object>} Queue entries ({ date, tournament, queuedAt, changes, error }), one per
+     * tournament; changes counts the saves it holds, error is set when the backend rejected the save
+     * for another reason than the network
+     */
+    function readQueue() {
+        try {
+            return JSON.parse(localStorage.getItem(QUEUE_KEY)) || [];
+        } catch (error) {
+            console.error('Corrupt sync queue, discarding:', error);
+            return [];
+        }
+    }
+
+    function writeQueue(queue) {
+        localStorage.setItem(QUEUE_KEY, JSON.stringify(queue));
+    }
+
+    /**
+     * Keep a local copy of a tournament so it can be opened offline
+     */
+    function cacheTournament(tournament) {
+        try {
+            localStorage.setItem(CACHE_PREFIX + tournament.tournamentDate, JSON.stringify(tournament));
+        } catch (error) {
+            console.warn('Could not cache tournament locally:', error);
+        }
+        pruneCache();
+    }
+
+    /**
+     * Drop local copies beyond the most recent ones, and those no longer in storage
+     * (copies with unsynced changes are always kept)
+     * @param {Set<string>} listedDates - Dates currently in storage (optional)
+     */
+    function pruneCache(listedDates = null) {
+        const pending = new Set(readQueue().map(e => e.date));
+
+        getCachedDates()
+            .sort((a, b) => b.localeCompare(a))
+            .forEach((date, index) => {
+                if (pending.has(date)) return;
+                if (index >= MAX_CACHED_TOURNAMENTS || (listedDates && !listedDates.has(date))) {
+                    localStorage.removeItem(CACHE_PREFIX + date);
+                }
+            });
+    }
+
+    function getCachedTournament(date) {
+        const cached = localStorage.getItem(CACHE_PREFIX + date);
+        return cached ? JSON.parse(cached) : null;
+    }
+
+    function getCachedDates() {
+        return Object.keys(localStorage)
+            .filter(key => key.startsWith(CACHE_PREFIX))
+            .map(key => key.slice(CACHE_PREFIX.length));
+    }
+
+    /**
+     * Check if an error means the backend could not be reached
+     * (fetch rejects with a TypeError when the network is down)
+     */
+    function isNetworkError(error) {
+        return !navigator.onLine || error instanceof TypeError;
+    }
+
+    function countChanges(entries) {
+        return entries.reduce((sum, e) => sum + (e.changes || 1), 0);
+    }
+
+    /**
+     * Get the number of saves waiting to be synced
+     * @returns {number} Pending change count
+     */
+    function getPendingCount() {
+        return countChanges(readQueue());
+    }
+
+    function getFailedCount() {
+        return countChanges(readQueue().filter(e => e.error));
+    }
+
+    /**
+     * Register a listener for sync status changes
+     * @param {Function} listener - Called with { pending, failed, syncing, synced, merged }
+     * where synced is the latest local version of a tournament that was just saved
+     * and merged tells if changes from another device were merged into it
+     */
+    function onChange(listener) {
+        listeners.push(listener);
+    }
+
+    function notify(synced = null, merged = false) {
+        const status = {
+            pending: getPendingCount(),
+            failed: getFailedCount(),
+            syncing: flushPromise !== null,
+            synced: synced,
+            merged: merged
+        };
+        listeners.forEach(listener => listener(status));
+    }
+
+    // Only network failures are retried on a timer; rejected saves wait for the next save or app start
+    function scheduleRetry() {
+        if (retryTimer || getPendingCount() === getFailedCount()) return;
+
+        retryTimer = setTimeout(() => {
+            retryTimer = null;
+            flush();
+        }, RETRY_INTERVAL_MS);
+    }
+
+    /**
+     * Replay pending saves to the storage backend, skipping saves the backend rejected
+     * @returns {Promise<boolean>} True if the queue is empty afterwards
+     */
+    function flush() {
+        if (flushPromise) return flushPromise;
+
+        flushPromise = (async () => {
+            for (const entry of readQueue().filter(e => !e.error)) {
+                const tournament = entry.tournament;
+                const sent = JSON.parse(JSON.stringify(tournament));
+                if (knownShas[entry.date]) {
+                    tournament._sha = knownShas[entry.date];
+                }
+
+                try {
+                    await Storage.saveTournament(tournament);
+                } catch (error) {
+                    if (!isNetworkError(error)) {
+                        console.error(`Sync of ${entry.date} failed:`, error);
+                        // Keep the local copy but stop retrying until the tournament is saved again
+                        writeQueue(readQueue().map(e => e.date === entry.date && e.queuedAt === entry.queuedAt
+                            ? { ...e, error: error.message }
+                            : e));
+                    }
+                    continue;
+                }
+
+                const merged = Boolean(tournament._merged);
+                delete tournament._merged;
+                knownShas[entry.date] = tournament._sha;
+
+                // Drop the snapshot we just saved; one queued during the request stays pending
+                const remaining = readQueue().filter(e => e.date !== entry.date || e.queuedAt > entry.queuedAt);
+
+                remaining.forEach(e => {
+                    if (e.date !== entry.date) return;
+                    // The newer snapshot's count included the changes just sent
+                    e.changes = Math.max(1, (e.changes || 1) - (entry.changes || 1));
+
+                    // Changes from another device were merged in: rebase the newer local snapshot onto the result
+                    if (merged) {
+                        e.tournament = Merge.mergeTournaments(sent, e.tournament, tournament).merged;
+                        e.tournament._sha = tournament._sha;
+                    }
+                });
+
+                writeQueue(remaining);
+                const latest = remaining.filter(e => e.date === entry.date).pop();
+                cacheTournament(latest ? latest.tournament : tournament);
+                notify(latest ? latest.tournament : tournament, merged);
+            }
+
+            return getPendingCount() === 0;
+        })();
+
+        notify();
+
+        return flushPromise.finally(() => {
+            flushPromise = null;
+            notify();
+            scheduleRetry();
+        });
+    }
+
+    /**
+     * Save a tournament: persist locally, queue it and try to sync.
+     * The snapshot replaces any earlier one of the same tournament, since only the latest is sent.
+     * @param {Object} tournament - Tournament data object
+     * @returns {Promise<boolean>} True if the change reached the backend, false if offline
+     * @throws {Error} If the backend rejected the save (the local copy is kept)
+     */
+    async function saveTournament(tournament) {
+        // Refuse before queueing: an invalid snapshot would never sync
+        TournamentSchema.load(tournament);
+
+        const date = tournament.tournamentDate;
+        const queue = readQueue();
+        const lastQueuedAt = queue.reduce((max, e) => Math.max(max, e.queuedAt), 0);
+        const previous = queue.find(e => e.date === date);
+        const others = queue.filter(e => e.date !== date);
+
+        others.push({
+            date: date,
+            tournament: JSON.parse(JSON.stringify(tournament)),
+            // Strictly increasing so entries can be ordered even within the same millisecond
+            queuedAt: Math.max(Date.now(), lastQueuedAt + 1),
+            changes: (previous ? previous.changes || 1 : 0) + 1
+        });
+        writeQueue(others);
+        cacheTournament(tournament);
+        notify();
+
+        // Wait for any running flush so this entry is included
+        if (flushPromise) await flushPromise;
+        await flush();
+
+        const pending = readQueue().find(e => e.date === date);
+        if (pending && pending.error) {
+            throw new Error(`Saved on this device only: ${pending.error}`);
+        }
+        return !pending;
+    }
+
+    /**
+     * Load a tournament, preferring unsynced local changes and
+     * falling back to the local copy when offline
+     * @param {string} date - Tournament date in YYYY-MM-DD format
+     * @returns {Promise<Object|null>} Tournament data object or null if not found
+     */
+    async function loadTournament(date) {
+        const pending = readQueue().filter(e => e.date === date);
+        if (pending.length > 0) {
+            return TournamentSchema.load(pending[pending.length - 1].tournament);
+        }
+
+        try {
+            const tournament = await Storage.loadTournament(date);
+            if (tournament) {
+                knownShas[date] = tournament._sha;
+                cacheTournament(tournament);
+            }
+            return tournament;
+        } catch (error) {
+            const cached = getCachedTournament(date);
+            if (cached && isNetworkError(error)) {
+                return TournamentSchema.load(cached);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * List tournaments, falling back to locally cached ones when offline
+     * @returns {Promise<Array>} Array of tournament metadata objects
+     */
+    async function listTournaments() {
+        try {
+            const tournaments = await Storage.listTournaments();
+            // Tournaments deleted from storage no longer need a local copy
+            pruneCache(new Set(tournaments.map(t => t.date)));
+            return tournaments;
+        } catch (error) {
+            if (!isNetworkError(error)) throw error;
+
+            return getCachedDates()
+                .map(date => ({ date: date, name: `${date}.json`, path: null, sha: null }))
+                .sort((a, b) => b.date.localeCompare(a.date));
+        }
+    }
+
+    /**
+     * Start listening for connectivity changes and sync anything left over
+     */
+    function init() {
+        // Give saves rejected in an earlier session another try (settings may have been fixed)
+        writeQueue(readQueue().map(({ error, ...entry }) => entry));
+
+        window.addEventListener('online', () => flush());
+        notify();
+        if (getPendingCount() > 0 && navigator.onLine) {
+            flush();
+        }
+    }
+
+    // Public API
+    return {
+        init,
+        onChange,
+        getPendingCount,
+        getFailedCount,
+        flush,
+        saveTournament,
+        loadTournament,
+        listTournaments
+    };
+})();
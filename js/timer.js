@@ -0,0 +1,150 @@
+/**
+ * Timer module for Mexicano Tournament
+ * Shared countdown for timed matches: all courts start together and
+ * a beep sounds when time is up
+ */
+
+const MatchTimer = (function () {
+    const TICK_MS = 250;
+
+    let durationMs = 0;
+    let remainingMs = 0;
+    let endsAt = null;
+    let intervalId = null;
+    let audioContext = null;
+    let onTick = () => { };
+
+    /**
+     * Set the function called on every tick with the timer state
+     * @param {Function} listener - Called with { remainingMs, running, finished }
+     */
+    function setListener(listener) {
+        onTick = listener;
+    }
+
+    function getState() {
+        return {
+            remainingMs: remainingMs,
+            running: intervalId !== null,
+            finished: durationMs > 0 && remainingMs === 0
+        };
+    }
+
+    /**
+     * Set the match length and reset the countdown (ignored while running)
+     * @param {number} minutes - Match length in minutes
+     */
+    function configure(minutes) {
+        if (intervalId !== null) return;
+
+        const ms = Math.round(minutes * 60 * 1000);
+        if (ms !== durationMs) {
+            durationMs = ms;
+            remainingMs = ms;
+        }
+        onTick(getState());
+    }
+
+    /**
+     * Play three short beeps (Web Audio, no sound files needed)
+     */
+    function beep() {
+        if (!audioContext) return;
+
+        for (let i = 0; i < 3; i++) {
+            const start = audioContext.currentTime + i * 0.4;
+            const oscillator = audioContext.createOscillator();
+            const gain = audioContext.createGain();
+
+            oscillator.frequency.value = 880;
+            gain.gain.setValueAtTime(0.5, start);
+            gain.gain.exponentialRampToValueAtTime(0.001, start + 0.3);
+
+            oscillator.connect(gain);
+            gain.connect(audioContext.destination);
+            oscillator.start(start);
+            oscillator.stop(start + 0.3);
+        }
+    }
+
+    function tick() {
+        remainingMs = Math.max(0, endsAt - Date.now());
+
+        if (remainingMs === 0) {
+            clearInterval(intervalId);
+            intervalId = null;
+            endsAt = null;
+            beep();
+        }
+
+        onTick(getState());
+    }
+
+    /**
+     * Start (or resume) the countdown on all courts
+     * Must be called from a user gesture so audio is allowed
+     */
+    function start() {
+        if (intervalId !== null || durationMs === 0) return;
+
+        // Browsers only allow audio after a user gesture
+        if (!audioContext && (window.AudioContext || window.webkitAudioContext)) {
+            audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        }
+        if (audioContext && audioContext.state === 'suspended') {
+            audioContext.resume();
+        }
+
+        if (remainingMs === 0) remainingMs = durationMs;
+        endsAt = Date.now() + remainingMs;
+        intervalId = setInterval(tick, TICK_MS);
+        onTick(getState());
+    }
+
+    /**
+     * Pause the countdown
+     */
+    function pause() {
+        if (intervalId === null) return;
+
+        clearInterval(intervalId);
+        intervalId = null;
+        remainingMs = Math.max(0, endsAt - Date.now());
+        endsAt = null;
+        onTick(getState());
+    }
+
+    /**
+     * Stop and reset the countdown to the full match length
+     */
+    function reset() {
+        clearInterval(intervalId);
+        intervalId = null;
+        endsAt = null;
+        remainingMs = durationMs;
+        onTick(getState());
+    }
+
+    /**
+     * Format milliseconds as m:ss
+     * @param {number} ms - Milliseconds
+     * @returns {string} Formatted time
+     */
+    function format(ms) {
+        const totalSeconds = Math.ceil(ms / 1000);
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = totalSeconds % 60;
+        return `${minutes}:${String(seconds).padStart(2, '0')}`;
+    }
+
+    // Public API
+    return {
+        setListener,
+        getState,
+        configure,
+        start,
+        pause,
+        reset,
+        format
+    };
+})();
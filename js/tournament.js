@@ -4,13 +4,78 @@
  */
 
 const Tournament = (function () {
+    // Minimum players for one match
+    const MIN_PLAYERS = 4;
+
+    // How players sitting out a round are compensated
+    const SIT_OUT_COMPENSATION = {
+        AVERAGE: 'average', // Average points per player in that round
+        FIXED: 'fixed',     // Fixed number of points
+        NONE: 'none'
+    };
+
+    const DEFAULT_SIT_OUT_COMPENSATION = { mode: SIT_OUT_COMPENSATION.AVERAGE, points: 0 };
+
+    // Tournament formats
+    const FORMATS = {
+        MEXICANO: 'mexicano', // Re-paired each round from the rankings
+        AMERICANO: 'americano' // Fixed schedule, everyone partners everyone once
+    };
+
+    // Larger Americano schedules take too long to compute on a phone
+    const MAX_AMERICANO_PLAYERS = 20;
+
+    // How match scores are entered
+    const SCORING_MODES = {
+        POINTS: 'points', // Teams share a fixed number of points
+        TIMED: 'timed'    // Fixed match time, free-form scores, draws allowed
+    };
+
+    // Scoring used by files created before scoring was configurable
+    const DEFAULT_SCORING = { mode: SCORING_MODES.POINTS, pointsPerMatch: 25, matchMinutes: null };
+
+    const DEFAULT_MATCH_MINUTES = 12;
+
+    // Player changes during a tournament, saved in tournament.events
+    const EVENT_TYPES = {
+        SUBSTITUTE: 'substitute', // Another player takes over from the next round
+        WITHDRAW: 'withdraw',     // Player leaves, nobody takes over
+        JOIN: 'join'              // Late arrival, plays from the next round
+    };
+
+    // Tournament lifecycle
+    const STATUSES = {
+        IN_PROGRESS: 'in-progress',
+        COMPLETED: 'completed' // Finished: locked for editing
+    };
+
+    // Ranking criteria, applied in the order chosen for the tournament
+    const TIEBREAKERS = {
+        POINTS: 'points',
+        WINS: 'wins',
+        DIFFERENTIAL: 'differential',       // Points scored minus points conceded
+        HEAD_TO_HEAD: 'head-to-head',       // Wins minus losses against the other tied players
+        POINTS_PER_GAME: 'points-per-game',
+        FEWEST_SIT_OUTS: 'fewest-sit-outs'
+    };
+
+    // Tournaments saved without tiebreakers: players level on points and wins share a rank
+    const DEFAULT_TIEBREAKERS = [TIEBREAKERS.POINTS, TIEBREAKERS.WINS];
+
+    // Starting score of a late arrival
+    const STARTING_SCORES = {
+        ZERO: 'zero',
+        AVERAGE: 'average', // Average total points of the players in the tournament
+        LOWEST: 'lowest'    // Lowest total points of the players in the tournament
+    };
+
     /**
-     * Validate player count (must be 8, 12, or 16)
+     * Validate player count (at least 4; extra players sit out in rotation)
      * @param {number} count - Number of players
      * @returns {boolean} True if valid
      */
     function isValidPlayerCount(count) {
-        return [8, 12, 16].includes(count);
+        return Number.isInteger(count) && count >= MIN_PLAYERS;
     }
 
     /**
@@ -33,22 +98,83 @@ const Tournament = (function () {
 
         // Check player count
         if (!isValidPlayerCount(players.length)) {
-            return { isValid: false, error: 'Must have exactly 8, 12, or 16 players' };
+            return { isValid: false, error: `Must have at least ${MIN_PLAYERS} players` };
         }
 
         return { isValid: true };
     }
 
     /**
-     * Validate match score (must total 25)
+     * Check if a tournament uses the Americano format
+     * Files without a format are Mexicano
+     * @param {Object} tournament - Tournament object
+     * @returns {boolean} True if Americano
+     */
+    function isAmericano(tournament) {
+        return tournament.format === FORMATS.AMERICANO;
+    }
+
+    /**
+     * Get the scoring rules of a tournament
+     * @param {Object} tournament - Tournament object
+     * @returns {Object} { mode, pointsPerMatch, matchMinutes }
+     */
+    function getScoringRules(tournament) {
+        const mode = tournament.scoringMode || DEFAULT_SCORING.mode;
+        return {
+            mode: mode,
+            pointsPerMatch: tournament.pointsPerMatch || DEFAULT_SCORING.pointsPerMatch,
+            matchMinutes: mode === SCORING_MODES.TIMED ? (tournament.matchMinutes || DEFAULT_MATCH_MINUTES) : null
+        };
+    }
+
+    /**
+     * Check if scores are entered freely for timed matches
+     * @param {Object} scoring - Scoring rules from getScoringRules
+     * @returns {boolean} True if timed
+     */
+    function isTimed(scoring) {
+        return scoring.mode === SCORING_MODES.TIMED;
+    }
+
+    /**
+     * Validate match score
+     * Points mode: must total the points per match. Timed mode: any non-negative scores.
      * @param {number} team1Score - Team 1 score
      * @param {number} team2Score - Team 2 score
+     * @param {Object} scoring - Scoring rules from getScoringRules (defaults to 25 points)
      * @returns {boolean} True if valid
      */
-    function isValidScore(team1Score, team2Score) {
-        return team1Score >= 0 &&
-            team2Score >= 0 &&
-            team1Score + team2Score === 25;
+    function isValidScore(team1Score, team2Score, scoring = DEFAULT_SCORING) {
+        const nonNegative = Number.isInteger(team1Score) &&
+            Number.isInteger(team2Score) &&
+            team1Score >= 0 &&
+            team2Score >= 0;
+
+        if (isTimed(scoring)) return nonNegative;
+        return nonNegative && team1Score + team2Score === scoring.pointsPerMatch;
+    }
+
+    /**
+     * Build the seeding stored with a tournament
+     * Random and balanced draws get a seed; rating and balanced keep the strengths used
+     * @param {Object} options - { method, seed, strengths }
+     * @returns {Object} Seeding object
+     */
+    function createSeeding(options = {}) {
+        const method = options.method || Pairing.SEEDING_METHODS.RANDOM;
+        if (!Object.values(Pairing.SEEDING_METHODS).includes(method)) {
+            throw new Error(`Unknown seeding method: ${method}`);
+        }
+
+        const seeding = { method: method };
+        if (method === Pairing.SEEDING_METHODS.RANDOM || method === Pairing.SEEDING_METHODS.BALANCED) {
+            seeding.seed = Number.isInteger(options.seed) ? options.seed : Pairing.createSeed();
+        }
+        if (method === Pairing.SEEDING_METHODS.RATING || method === Pairing.SEEDING_METHODS.BALANCED) {
+            seeding.strengths = options.strengths || {};
+        }
+        return seeding;
     }
 
     /**
@@ -57,87 +183,243 @@ const Tournament = (function () {
      * @param {string} date - Tournament date (YYYY-MM-DD)
      * @param {Array<string>} players - Array of player names
      * @param {string} description - Optional description
+     * @param {Object} options - Optional settings
+     * @param {Object} options.sitOutCompensation - { mode, points } for players sitting out a round
+     * @param {number} options.courts - Available courts (defaults to one per 4 players)
+     * @param {string} options.format - One of FORMATS (defaults to Mexicano)
+     * @param {number} options.pointsPerMatch - Points shared by the two teams in every match (defaults to 25)
+     * @param {string} options.scoringMode - One of SCORING_MODES (defaults to points)
+     * @param {number} options.matchMinutes - Match length for timed scoring (defaults to 12)
+     * @param {string} options.pairingStrategy - One of Pairing.STRATEGIES for rounds 2+ (defaults to avoid-repeats)
+     * @param {Object} options.seeding - Round 1 order: { method, seed, strengths } (defaults to random with a new seed)
+     * @param {number} options.plannedRounds - Target number of rounds (optional, unlimited if omitted)
+     * @param {boolean} options.finalRound - Add a final round for the top 4 after the planned rounds (Mexicano only)
+     * @param {Array<string>} options.tiebreakers - Ranking criteria in order, from TIEBREAKERS (defaults to points, wins)
      * @returns {Object} New tournament object
      */
-    function createTournament(name, date, players, description = '') {
+    function createTournament(name, date, players, description = '', options = {}) {
         const validation = validatePlayers(players);
         if (!validation.isValid) {
             throw new Error(validation.error);
         }
 
+        const compensation = { ...DEFAULT_SIT_OUT_COMPENSATION, ...options.sitOutCompensation };
+        if (!Object.values(SIT_OUT_COMPENSATION).includes(compensation.mode)) {
+            throw new Error(`Unknown sit-out compensation: ${compensation.mode}`);
+        }
+        if (compensation.mode === SIT_OUT_COMPENSATION.FIXED && !(compensation.points >= 0)) {
+            throw new Error('Sit-out points must be zero or more');
+        }
+
+        const courts = options.courts || getCourtCount(players.length);
+        if (!Number.isInteger(courts) || courts < 1) {
+            throw new Error('Number of courts must be at least 1');
+        }
+
+        const format = options.format || FORMATS.MEXICANO;
+        if (!Object.values(FORMATS).includes(format)) {
+            throw new Error(`Unknown tournament format: ${format}`);
+        }
+        if (format === FORMATS.AMERICANO) {
+            // The schedule needs everyone on court every round
+            if (players.length % 4 !== 0 || players.length > MAX_AMERICANO_PLAYERS) {
+                throw new Error(`Americano needs a multiple of 4 players, up to ${MAX_AMERICANO_PLAYERS}`);
+            }
+            if (courts < players.length / 4) {
+                throw new Error(`Americano needs ${players.length / 4} courts for ${players.length} players`);
+            }
+        }
+
+        const scoringMode = options.scoringMode || SCORING_MODES.POINTS;
+        if (!Object.values(SCORING_MODES).includes(scoringMode)) {
+            throw new Error(`Unknown scoring mode: ${scoringMode}`);
+        }
+
+        const scoring = { scoringMode: scoringMode };
+        if (scoringMode === SCORING_MODES.TIMED) {
+            scoring.matchMinutes = options.matchMinutes || DEFAULT_MATCH_MINUTES;
+            if (!(scoring.matchMinutes > 0)) {
+                throw new Error('Match length must be more than 0 minutes');
+            }
+        } else {
+            scoring.pointsPerMatch = options.pointsPerMatch || DEFAULT_SCORING.pointsPerMatch;
+            if (!Number.isInteger(scoring.pointsPerMatch) || scoring.pointsPerMatch < 1) {
+                throw new Error('Points per match must be a whole number of at least 1');
+            }
+        }
+
+        const pairingStrategy = options.pairingStrategy || Pairing.STRATEGIES.AVOID_REPEATS;
+        if (!Object.values(Pairing.STRATEGIES).includes(pairingStrategy)) {
+            throw new Error(`Unknown pairing strategy: ${pairingStrategy}`);
+        }
+
+        const seeding = createSeeding(options.seeding);
+
+        const plannedRounds = options.plannedRounds || null;
+        if (plannedRounds !== null && (!Number.isInteger(plannedRounds) || plannedRounds < 1)) {
+            throw new Error('Number of rounds must be a whole number of at least 1');
+        }
+        const finalRound = Boolean(options.finalRound);
+        if (finalRound && (format === FORMATS.AMERICANO || plannedRounds === null)) {
+            throw new Error('A final round needs a Mexicano tournament with a planned number of rounds');
+        }
+
+        const tiebreakers = options.tiebreakers || DEFAULT_TIEBREAKERS;
+        validateTiebreakers(tiebreakers);
+
         return {
+            schemaVersion: TournamentSchema.CURRENT_VERSION,
             name: name,
             description: description,
             tournamentDate: date,
+            format: format,
+            ...scoring,
+            pairingStrategy: pairingStrategy,
+            tiebreakers: [...tiebreakers],
+            seeding: seeding,
+            plannedRounds: format === FORMATS.AMERICANO ? null : plannedRounds,
+            finalRound: finalRound,
+            status: STATUSES.IN_PROGRESS,
             players: players.map(p => p.trim()),
+            courts: courts,
+            sitOutCompensation: compensation,
             rounds: [],
             createdAt: new Date().toISOString(),
             updatedAt: new Date().toISOString()
         };
     }
 
+    /**
+     * Get the points awarded to each player sitting out a round
+     * Only awarded once the round is complete
+     * @param {Object} tournament - Tournament object
+     * @param {Object} round - Round object
+     * @returns {number} Compensation points per sitting player
+     */
+    function getSitOutCompensation(tournament, round) {
+        const compensation = tournament.sitOutCompensation || DEFAULT_SIT_OUT_COMPENSATION;
+        if (!isRoundComplete(round, getScoringRules(tournament)) || round.matches.length === 0) return 0;
+
+        switch (compensation.mode) {
+            case SIT_OUT_COMPENSATION.FIXED:
+                return compensation.points;
+            case SIT_OUT_COMPENSATION.AVERAGE: {
+                // Every match gives both scores to two players each
+                const totalPoints = round.matches.reduce((sum, m) => sum + m.team1Score + m.team2Score, 0);
+                return (totalPoints * 2) / (round.matches.length * 4);
+            }
+            default:
+                return 0;
+        }
+    }
+
     /**
      * Calculate statistics for all players in a tournament
+     * Sit-out compensation counts towards totalPoints but not pointsPerGame
      * @param {Object} tournament - Tournament object
      * @returns {Object} Map of player name to stats object
      */
     function calculateStats(tournament) {
         const stats = {};
 
-        // Initialize stats for all players
-        tournament.players.forEach(player => {
+        // Initialize stats for all players, including substitutes
+        getAllPlayers(tournament).forEach(player => {
             stats[player] = {
                 name: player,
                 totalPoints: 0,
+                pointsConceded: 0,
+                pointDifferential: 0,
                 gamesPlayed: 0,
+                longestWinStreak: 0,
+                currentWinStreak: 0,
                 wins: 0,
+                draws: 0,
                 losses: 0,
+                sitOuts: 0,
+                compensationPoints: 0,
                 pointsPerGame: 0,
                 winPercentage: 0
             };
         });
 
+        const scoring = getScoringRules(tournament);
+
         // Process all completed matches
         tournament.rounds.forEach(round => {
+            const compensation = getSitOutCompensation(tournament, round);
+            (round.sittingOut || []).forEach(player => {
+                if (stats[player]) {
+                    stats[player].sitOuts += 1;
+                    stats[player].compensationPoints += compensation;
+                    stats[player].totalPoints += compensation;
+                }
+            });
+
             round.matches.forEach(match => {
-                if (!isMatchComplete(match)) return;
+                if (!isMatchComplete(match, scoring)) return;
 
                 const team1Players = [match.team1Player1, match.team1Player2];
                 const team2Players = [match.team2Player1, match.team2Player2];
-                const team1Won = match.team1Score > match.team2Score;
 
-                // Update Team 1 players
-                team1Players.forEach(player => {
-                    if (stats[player]) {
-                        stats[player].totalPoints += match.team1Score;
+                const updateTeam = (players, scored, conceded) => {
+                    players.forEach(player => {
+                        if (!stats[player]) return;
+                        stats[player].totalPoints += scored;
+                        stats[player].pointsConceded += conceded;
+                        stats[player].pointDifferential += scored - conceded;
                         stats[player].gamesPlayed += 1;
-                        if (team1Won) {
+                        if (scored > conceded) {
                             stats[player].wins += 1;
+                            stats[player].currentWinStreak += 1;
+                            stats[player].longestWinStreak = Math.max(
+                                stats[player].longestWinStreak, stats[player].currentWinStreak);
+                        } else if (scored === conceded) {
+                            stats[player].draws += 1;
+                            stats[player].currentWinStreak = 0;
                         } else {
                             stats[player].losses += 1;
+                            stats[player].currentWinStreak = 0;
                         }
-                    }
-                });
+                    });
+                };
 
-                // Update Team 2 players
-                team2Players.forEach(player => {
-                    if (stats[player]) {
-                        stats[player].totalPoints += match.team2Score;
-                        stats[player].gamesPlayed += 1;
-                        if (!team1Won) {
-                            stats[player].wins += 1;
-                        } else {
-                            stats[player].losses += 1;
-                        }
-                    }
-                });
+                // Update Team 1 and Team 2 players
+                updateTeam(team1Players, match.team1Score, match.team2Score);
+                updateTeam(team2Players, match.team2Score, match.team1Score);
             });
         });
 
-        // Calculate derived stats
+        // Players who left: substitutes may take over their points (in event order, so chains add up).
+        // Late arrivals get their starting points.
+        // Events after the last round (rounds regenerated after a past edit) don't apply yet.
+        (tournament.events || []).forEach(event => {
+            const leaver = stats[event.player];
+            if (!leaver || event.round > tournament.rounds.length) return;
+
+            if (event.type === EVENT_TYPES.JOIN) {
+                leaver.startingPoints = event.startingPoints;
+                leaver.totalPoints += event.startingPoints;
+                return;
+            }
+
+            leaver.leftAfterRound = event.round;
+            if (event.type !== EVENT_TYPES.SUBSTITUTE) return;
+
+            leaver.replacedBy = event.substitute;
+            if (event.inheritPoints && stats[event.substitute]) {
+                const substitute = stats[event.substitute];
+                substitute.inheritedPoints = (substitute.inheritedPoints || 0) + leaver.totalPoints;
+                substitute.totalPoints += leaver.totalPoints;
+                leaver.pointsInherited = true;
+            }
+        });
+
+        // Calculate derived stats (compensation, inherited and starting points are not per game)
         Object.values(stats).forEach(playerStats => {
             if (playerStats.gamesPlayed > 0) {
-                playerStats.pointsPerGame = playerStats.totalPoints / playerStats.gamesPlayed;
+                const ownPoints = playerStats.totalPoints - playerStats.compensationPoints -
+                    (playerStats.inheritedPoints || 0) - (playerStats.startingPoints || 0);
+                playerStats.pointsPerGame = ownPoints / playerStats.gamesPlayed;
                 playerStats.winPercentage = (playerStats.wins / playerStats.gamesPlayed) * 100;
             }
         });
@@ -145,73 +427,453 @@ const Tournament = (function () {
         return stats;
     }
 
+    /**
+     * Get every player who took part, including substitutes (entry order, then substitutes)
+     * @param {Object} tournament - Tournament object
+     * @returns {Array<string>} Player names
+     */
+    function getAllPlayers(tournament) {
+        const substitutes = (tournament.events || [])
+            .filter(e => e.type === EVENT_TYPES.SUBSTITUTE)
+            .map(e => e.substitute);
+        return [...tournament.players, ...substitutes];
+    }
+
+    /**
+     * Get the players available for a round, after substitutions and withdrawals
+     * @param {Object} tournament - Tournament object
+     * @param {number} roundNumber - Round number (defaults to the next round)
+     * @returns {Array<string>} Player names (substitutes take the leaver's place)
+     */
+    function getActivePlayers(tournament, roundNumber = getCurrentRoundNumber(tournament) + 1) {
+        const events = tournament.events || [];
+
+        // Late arrivals are in players but only play after they joined
+        const notYetJoined = events
+            .filter(e => e.type === EVENT_TYPES.JOIN && e.round >= roundNumber)
+            .map(e => e.player);
+        let players = tournament.players.filter(p => !notYetJoined.includes(p));
+
+        events
+            .filter(e => e.round < roundNumber)
+            .forEach(event => {
+                if (event.type === EVENT_TYPES.SUBSTITUTE) {
+                    players = players.map(p => p === event.player ? event.substitute : p);
+                } else if (event.type === EVENT_TYPES.WITHDRAW) {
+                    players = players.filter(p => p !== event.player);
+                }
+            });
+
+        return players;
+    }
+
+    /**
+     * Get the rounds each late arrival missed before joining
+     * @param {Object} tournament - Tournament object
+     * @returns {Object} Map of player name to the last round before they joined
+     */
+    function getJoinRounds(tournament) {
+        const joined = {};
+        (tournament.events || [])
+            .filter(e => e.type === EVENT_TYPES.JOIN)
+            .forEach(e => {
+                joined[e.player] = e.round;
+            });
+        return joined;
+    }
+
+    /**
+     * Check that a player can leave before the next round
+     */
+    function ensureActivePlayer(tournament, player) {
+        if (!getActivePlayers(tournament).includes(player)) {
+            throw new Error(`${player} is not playing in this tournament`);
+        }
+    }
+
+    /**
+     * Record a player change; it applies to rounds after event.round
+     * (Americano: the rounds already played, since the whole schedule exists)
+     */
+    function addEvent(tournament, event) {
+        ActionLog.dropRedo(tournament);
+        tournament.events = [...(tournament.events || []), {
+            ...event,
+            round: isAmericano(tournament) ? getActiveRoundIndex(tournament) : getCurrentRoundNumber(tournament),
+            createdAt: new Date().toISOString()
+        }];
+        tournament.updatedAt = new Date().toISOString();
+    }
+
+    /**
+     * Replace a player with a substitute from the next round on.
+     * The substitute also takes the leaver's place in matches not scored yet
+     * (the rest of an Americano schedule, or an unplayed current round).
+     * @param {Object} tournament - Tournament object
+     * @param {string} player - Player leaving
+     * @param {string} substitute - New player's name
+     * @param {boolean} inheritPoints - True to carry the leaver's points over, false to start from zero
+     * @returns {Object} Updated tournament
+     */
+    function substitutePlayer(tournament, player, substitute, inheritPoints) {
+        ensureActivePlayer(tournament, player);
+
+        const name = (substitute || '').trim();
+        if (!name) {
+            throw new Error('Substitute name is required');
+        }
+        if (getAllPlayers(tournament).some(p => p.toLowerCase() === name.toLowerCase())) {
+            throw new Error(`${name} is already in this tournament`);
+        }
+
+        const scoring = getScoringRules(tournament);
+        tournament.rounds.forEach(round => {
+            round.matches.forEach(match => {
+                if (isMatchComplete(match, scoring)) return;
+                ['team1Player1', 'team1Player2', 'team2Player1', 'team2Player2'].forEach(slot => {
+                    if (match[slot] === player) match[slot] = name;
+                });
+            });
+        });
+
+        addEvent(tournament, {
+            type: EVENT_TYPES.SUBSTITUTE,
+            player: player,
+            substitute: name,
+            inheritPoints: Boolean(inheritPoints)
+        });
+        return tournament;
+    }
+
+    /**
+     * Add a late arrival who plays from the next round on
+     * @param {Object} tournament - Tournament object
+     * @param {string} name - New player's name
+     * @param {string} startingScore - One of STARTING_SCORES
+     * @param {number} courts - Courts available from the next round
+     *   (optional, defaults to getCourtCountAfterJoin)
+     * @returns {Object} Updated tournament
+     */
+    function addPlayer(tournament, name, startingScore, courts) {
+        if (isAmericano(tournament)) {
+            throw new Error('An Americano schedule is fixed: players cannot join');
+        }
+
+        const player = (name || '').trim();
+        if (!player) {
+            throw new Error('Player name is required');
+        }
+        if (getAllPlayers(tournament).some(p => p.toLowerCase() === player.toLowerCase())) {
+            throw new Error(`${player} is already in this tournament`);
+        }
+        if (!Object.values(STARTING_SCORES).includes(startingScore)) {
+            throw new Error(`Unknown starting score: ${startingScore}`);
+        }
+        if (courts !== undefined && (!Number.isInteger(courts) || courts < 1)) {
+            throw new Error('Number of courts must be at least 1');
+        }
+
+        // Starting points are fixed when joining, from the players still in the tournament
+        const active = getActivePlayers(tournament);
+        const totals = rankPlayers(tournament)
+            .filter(p => active.includes(p.name))
+            .map(p => p.totalPoints);
+
+        let startingPoints = 0;
+        if (totals.length > 0 && startingScore === STARTING_SCORES.AVERAGE) {
+            startingPoints = Math.round((totals.reduce((sum, t) => sum + t, 0) / totals.length) * 10) / 10;
+        } else if (totals.length > 0 && startingScore === STARTING_SCORES.LOWEST) {
+            startingPoints = Math.min(...totals);
+        }
+
+        tournament.courts = courts !== undefined ? courts : getCourtCountAfterJoin(tournament);
+        tournament.players = [...tournament.players, player];
+
+        addEvent(tournament, {
+            type: EVENT_TYPES.JOIN,
+            player: player,
+            startingScore: startingScore,
+            startingPoints: startingPoints
+        });
+        return tournament;
+    }
+
+    /**
+     * Withdraw a player from the next round on; their results stay in the standings
+     * @param {Object} tournament - Tournament object
+     * @param {string} player - Player leaving
+     * @returns {Object} Updated tournament
+     */
+    function withdrawPlayer(tournament, player) {
+        ensureActivePlayer(tournament, player);
+
+        if (isAmericano(tournament)) {
+            throw new Error('An Americano schedule needs everyone: use a substitute instead');
+        }
+        if (getActivePlayers(tournament).length - 1 < MIN_PLAYERS) {
+            throw new Error(`At least ${MIN_PLAYERS} players must remain`);
+        }
+
+        const scoring = getScoringRules(tournament);
+        const current = getCurrentRound(tournament);
+        const unplayed = current && current.matches.some(m => !isMatchComplete(m, scoring) &&
+            [m.team1Player1, m.team1Player2, m.team2Player1, m.team2Player2].includes(player));
+        if (unplayed) {
+            throw new Error(`Finish ${player}'s match in this round first, or use a substitute`);
+        }
+
+        addEvent(tournament, { type: EVENT_TYPES.WITHDRAW, player: player });
+        return tournament;
+    }
+
+    /**
+     * Get the ranking criteria of a tournament
+     * @param {Object} tournament - Tournament object
+     * @returns {Array<string>} Tiebreakers in order
+     */
+    function getTiebreakers(tournament) {
+        return tournament.tiebreakers && tournament.tiebreakers.length > 0
+            ? tournament.tiebreakers
+            : DEFAULT_TIEBREAKERS;
+    }
+
+    /**
+     * Check a list of tiebreakers (known, no duplicates, at least one)
+     * @param {Array<string>} tiebreakers - Tiebreakers in order
+     */
+    function validateTiebreakers(tiebreakers) {
+        if (!Array.isArray(tiebreakers) || tiebreakers.length === 0) {
+            throw new Error('Choose at least one ranking tiebreaker');
+        }
+        tiebreakers.forEach(tiebreaker => {
+            if (!Object.values(TIEBREAKERS).includes(tiebreaker)) {
+                throw new Error(`Unknown tiebreaker: ${tiebreaker}`);
+            }
+        });
+        if (new Set(tiebreakers).size !== tiebreakers.length) {
+            throw new Error('Each tiebreaker can only be used once');
+        }
+    }
+
+    /**
+     * Head-to-head record of each player against the others in a tied group
+     * @param {Array<Object>} group - Player stats of the tied players
+     * @param {Object} tournament - Tournament object
+     * @returns {Object} Map of player name to wins minus losses in matches
+     * with at least one of the other tied players on the opposing team
+     */
+    function calculateHeadToHead(group, tournament) {
+        const names = new Set(group.map(p => p.name));
+        const records = {};
+        names.forEach(name => { records[name] = 0; });
+
+        const scoring = getScoringRules(tournament);
+        tournament.rounds.forEach(round => {
+            round.matches.forEach(match => {
+                if (!isMatchComplete(match, scoring) || match.team1Score === match.team2Score) return;
+
+                const team1 = [match.team1Player1, match.team1Player2];
+                const team2 = [match.team2Player1, match.team2Player2];
+                const result = match.team1Score > match.team2Score ? 1 : -1;
+
+                const apply = (team, opponents, value) => {
+                    if (!opponents.some(p => names.has(p))) return;
+                    team.filter(p => names.has(p)).forEach(p => { records[p] += value; });
+                };
+                apply(team1, team2, result);
+                apply(team2, team1, -result);
+            });
+        });
+
+        return records;
+    }
+
+    /**
+     * Value of a player for a tiebreaker (higher ranks first)
+     */
+    function getTiebreakerValue(tiebreaker, player, headToHead) {
+        switch (tiebreaker) {
+            case TIEBREAKERS.POINTS:
+                return player.totalPoints;
+            case TIEBREAKERS.WINS:
+                return player.wins;
+            case TIEBREAKERS.DIFFERENTIAL:
+                return player.pointDifferential;
+            case TIEBREAKERS.HEAD_TO_HEAD:
+                return headToHead[player.name];
+            case TIEBREAKERS.POINTS_PER_GAME:
+                return player.pointsPerGame;
+            case TIEBREAKERS.FEWEST_SIT_OUTS:
+                return -player.sitOuts;
+            default:
+                return 0;
+        }
+    }
+
     /**
      * Rank players based on tournament standings
-     * Priority: TotalPoints → Wins → PointsPerGame → Name
+     * Priority: the tournament's tiebreakers in order (default TotalPoints → Wins).
+     * Players level on every tiebreaker share a rank and are listed by PointsPerGame → Name.
+     * separatedBy names the tiebreaker that split a player from the one above
+     * after they were level on the first tiebreaker (null otherwise).
      * @param {Object} tournament - Tournament object
      * @returns {Array} Sorted array of player stats with rank
      */
     function rankPlayers(tournament) {
         const stats = calculateStats(tournament);
-        const players = Object.values(stats);
+        // Leavers whose points went to a substitute are ranked through them
+        const players = Object.values(stats).filter(p => !p.pointsInherited);
+        const tiebreakers = getTiebreakers(tournament);
+        const ranked = [];
 
-        // Sort by ranking criteria
-        players.sort((a, b) => {
-            // 1. Total Points (descending)
-            if (b.totalPoints !== a.totalPoints) {
-                return b.totalPoints - a.totalPoints;
-            }
-            // 2. Wins (descending)
-            if (b.wins !== a.wins) {
-                return b.wins - a.wins;
+        const rankGroup = (group, level, separatedBy) => {
+            if (level === tiebreakers.length || group.length === 1) {
+                group.sort((a, b) => {
+                    if (b.pointsPerGame !== a.pointsPerGame) return b.pointsPerGame - a.pointsPerGame;
+                    return a.name.localeCompare(b.name);
+                });
+                const rank = ranked.length + 1;
+                group.forEach((player, index) => {
+                    player.rank = rank;
+                    player.separatedBy = index === 0 ? separatedBy : null;
+                    ranked.push(player);
+                });
+                return;
             }
-            // 3. Points Per Game (descending)
-            if (b.pointsPerGame !== a.pointsPerGame) {
-                return b.pointsPerGame - a.pointsPerGame;
+
+            // Head-to-head only counts matches between the players still tied
+            const tiebreaker = tiebreakers[level];
+            const headToHead = tiebreaker === TIEBREAKERS.HEAD_TO_HEAD ? calculateHeadToHead(group, tournament) : {};
+            const values = new Map(group.map(p => [p, getTiebreakerValue(tiebreaker, p, headToHead)]));
+
+            const subgroups = [];
+            [...group]
+                .sort((a, b) => values.get(b) - values.get(a))
+                .forEach(player => {
+                    const last = subgroups[subgroups.length - 1];
+                    if (last && values.get(last[0]) === values.get(player)) {
+                        last.push(player);
+                    } else {
+                        subgroups.push([player]);
+                    }
+                });
+
+            subgroups.forEach((subgroup, index) => {
+                rankGroup(subgroup, level + 1, index === 0 || level === 0 ? separatedBy : tiebreaker);
+            });
+        };
+
+        rankGroup(players, 0, null);
+        return ranked;
+    }
+
+    /**
+     * Detailed statistics of one player for the player sheet
+     * @param {Object} tournament - Tournament object
+     * @param {string} player - Player name
+     * @returns {Object} { stats, bestPartner, worstPartner, toughestOpponent, partners, opponents, rankHistory }
+     * where partners/opponents are { name, matches, pointsFor, pointsAgainst, averageScore } sorted by
+     * averageScore (the player's team score), and rankHistory has { roundNumber, rank, movement }
+     * for every completed round (rank is null before the player joined)
+     */
+    function getPlayerDetails(tournament, player) {
+        const stats = calculateStats(tournament)[player];
+        if (!stats) {
+            throw new Error(`${player} is not playing in this tournament`);
+        }
+
+        const scoring = getScoringRules(tournament);
+        const partners = {};
+        const opponents = {};
+
+        const addResult = (records, name, scored, conceded) => {
+            if (!records[name]) {
+                records[name] = { name: name, matches: 0, pointsFor: 0, pointsAgainst: 0, averageScore: 0 };
             }
-            // 4. Name (alphabetical)
-            return a.name.localeCompare(b.name);
+            const record = records[name];
+            record.matches += 1;
+            record.pointsFor += scored;
+            record.pointsAgainst += conceded;
+            record.averageScore = record.pointsFor / record.matches;
+        };
+
+        tournament.rounds.forEach(round => {
+            round.matches.forEach(match => {
+                if (!isMatchComplete(match, scoring)) return;
+
+                const team1 = [match.team1Player1, match.team1Player2];
+                const team2 = [match.team2Player1, match.team2Player2];
+                if (!team1.includes(player) && !team2.includes(player)) return;
+
+                const onTeam1 = team1.includes(player);
+                const team = onTeam1 ? team1 : team2;
+                const scored = onTeam1 ? match.team1Score : match.team2Score;
+                const conceded = onTeam1 ? match.team2Score : match.team1Score;
+
+                addResult(partners, team.find(p => p !== player), scored, conceded);
+                (onTeam1 ? team2 : team1).forEach(opponent => addResult(opponents, opponent, scored, conceded));
+            });
         });
 
-        // Assign ranks (handle ties)
-        let currentRank = 1;
-        players.forEach((player, index) => {
-            if (index === 0) {
-                player.rank = 1;
-            } else {
-                const prev = players[index - 1];
-                // Check if tied with previous player (same points AND wins)
-                if (player.totalPoints === prev.totalPoints && player.wins === prev.wins) {
-                    player.rank = prev.rank;
-                } else {
-                    player.rank = index + 1;
-                }
-            }
+        // Best first; equal averages go to the pairing with more matches
+        const byAverage = (a, b) => b.averageScore - a.averageScore || b.matches - a.matches;
+        const partnerList = Object.values(partners).sort(byAverage);
+        const opponentList = Object.values(opponents).sort(byAverage);
+
+        // Rounds before a late arrival or substitute came in have no rank
+        const substitution = (tournament.events || []).find(e => e.type === EVENT_TYPES.SUBSTITUTE && e.substitute === player);
+        const startRound = getJoinRounds(tournament)[player] || (substitution ? substitution.round : 0);
+
+        const rankHistory = [];
+        tournament.rounds.forEach((round, index) => {
+            if (!isRoundComplete(round, scoring)) return;
+
+            const ranked = rankPlayers({ ...tournament, rounds: tournament.rounds.slice(0, index + 1) });
+            const entry = ranked.find(p => p.name === player);
+            const rank = round.roundNumber > startRound && entry ? entry.rank : null;
+            const previous = rankHistory[rankHistory.length - 1];
+
+            rankHistory.push({
+                roundNumber: round.roundNumber,
+                rank: rank,
+                // Places gained since the previous round (negative when dropping)
+                movement: previous && previous.rank !== null && rank !== null ? previous.rank - rank : 0
+            });
         });
 
-        return players;
+        return {
+            stats: stats,
+            bestPartner: partnerList[0] || null,
+            worstPartner: partnerList.length > 1 ? partnerList[partnerList.length - 1] : null,
+            toughestOpponent: opponentList.length > 0 ? opponentList[opponentList.length - 1] : null,
+            partners: partnerList,
+            opponents: opponentList,
+            rankHistory: rankHistory
+        };
     }
 
     /**
      * Check if a match is complete (has valid scores)
      * @param {Object} match - Match object
+     * @param {Object} scoring - Scoring rules from getScoringRules (defaults to 25 points)
      * @returns {boolean} True if match is complete
      */
-    function isMatchComplete(match) {
+    function isMatchComplete(match, scoring = DEFAULT_SCORING) {
         return match.team1Score !== null &&
             match.team1Score !== undefined &&
             match.team2Score !== null &&
             match.team2Score !== undefined &&
-            isValidScore(match.team1Score, match.team2Score);
+            isValidScore(match.team1Score, match.team2Score, scoring);
     }
 
     /**
      * Check if a round is complete (all matches have scores)
      * @param {Object} round - Round object
+     * @param {Object} scoring - Scoring rules from getScoringRules (defaults to 25 points)
      * @returns {boolean} True if all matches are complete
      */
-    function isRoundComplete(round) {
-        return round.matches.every(match => isMatchComplete(match));
+    function isRoundComplete(round, scoring = DEFAULT_SCORING) {
+        return round.matches.every(match => isMatchComplete(match, scoring));
     }
 
     /**
@@ -234,15 +896,106 @@ const Tournament = (function () {
         return tournament.rounds[tournament.rounds.length - 1];
     }
 
+    /**
+     * Check if a tournament has been finished
+     * @param {Object} tournament - Tournament object
+     * @returns {boolean} True if completed
+     */
+    function isCompleted(tournament) {
+        return tournament.status === STATUSES.COMPLETED;
+    }
+
+    /**
+     * Get the total number of rounds planned, including the final
+     * @param {Object} tournament - Tournament object
+     * @returns {number|null} Round count, or null if rounds are unlimited
+     */
+    function getPlannedRoundCount(tournament) {
+        if (isAmericano(tournament)) return tournament.rounds.length;
+        if (!tournament.plannedRounds) return null;
+        return tournament.plannedRounds + (tournament.finalRound ? 1 : 0);
+    }
+
+    /**
+     * Check if the next round is the final (planned rounds played, final not generated yet)
+     * @param {Object} tournament - Tournament object
+     * @returns {boolean} True if the next round is the final
+     */
+    function isFinalRoundDue(tournament) {
+        return Boolean(tournament.finalRound) &&
+            !isAmericano(tournament) &&
+            tournament.rounds.length === tournament.plannedRounds &&
+            !tournament.rounds.some(r => r.isFinal);
+    }
+
+    /**
+     * Get the tournament winner: the team that won the final, otherwise the
+     * leader of the standings (joint leaders are listed together)
+     * @param {Object} tournament - Tournament object
+     * @returns {string} Winner name(s)
+     */
+    function getWinner(tournament) {
+        const scoring = getScoringRules(tournament);
+        const finalRound = tournament.rounds.find(r => r.isFinal);
+        const finalMatch = finalRound && finalRound.matches.find(m => m.isFinal);
+
+        if (finalMatch && isMatchComplete(finalMatch, scoring) && finalMatch.team1Score !== finalMatch.team2Score) {
+            return finalMatch.team1Score > finalMatch.team2Score
+                ? `${finalMatch.team1Player1} & ${finalMatch.team1Player2}`
+                : `${finalMatch.team2Player1} & ${finalMatch.team2Player2}`;
+        }
+
+        return rankPlayers(tournament)
+            .filter(p => p.rank === 1)
+            .map(p => p.name)
+            .join(', ');
+    }
+
+    /**
+     * Finish a tournament: mark it completed, record the winner and lock it
+     * @param {Object} tournament - Tournament object
+     * @returns {Object} Updated tournament
+     */
+    function finishTournament(tournament) {
+        if (isCompleted(tournament)) {
+            throw new Error('Tournament is already finished');
+        }
+
+        // No round may be half played (Mexicano: the last round must be played)
+        const scoring = getScoringRules(tournament);
+        const partlyPlayed = tournament.rounds.some(round => {
+            const played = round.matches.filter(m => isMatchComplete(m, scoring)).length;
+            return played > 0 && played < round.matches.length;
+        });
+        const current = getCurrentRound(tournament);
+        if (partlyPlayed || (current && !isAmericano(tournament) && !isRoundComplete(current, scoring))) {
+            throw new Error('Complete the matches of the current round first');
+        }
+
+        tournament.status = STATUSES.COMPLETED;
+        tournament.completedAt = new Date().toISOString();
+        tournament.winner = getWinner(tournament);
+        tournament.updatedAt = tournament.completedAt;
+        return tournament;
+    }
+
     /**
      * Check if next round can be started
      * @param {Object} tournament - Tournament object
-     * @returns {boolean} True if current round is complete
+     * @returns {boolean} True if current round is complete and more rounds are planned
      */
     function canStartNextRound(tournament) {
+        if (isCompleted(tournament)) return false;
+
+        // Americano rounds are all generated up front
+        if (isAmericano(tournament) && tournament.rounds.length > 0) return false;
+
+        const plannedRoundCount = getPlannedRoundCount(tournament);
+        if (plannedRoundCount !== null && tournament.rounds.length >= plannedRoundCount) return false;
+
         const currentRound = getCurrentRound(tournament);
         if (!currentRound) return true; // Can start round 1
-        return isRoundComplete(currentRound);
+        return isRoundComplete(currentRound, getScoringRules(tournament));
     }
 
     /**
@@ -252,11 +1005,20 @@ const Tournament = (function () {
      * @param {number} matchId - Match ID
      * @param {number} team1Score - New team 1 score
      * @param {number} team2Score - New team 2 score
+     * @param {Object} options - { keepLaterRounds }: correct a previous round without
+     * regenerating the rounds after it (only the stats change)
      * @returns {Object} Updated tournament
      */
-    function updateMatchScore(tournament, roundNumber, matchId, team1Score, team2Score) {
-        if (!isValidScore(team1Score, team2Score)) {
-            throw new Error('Invalid score: team scores must equal 25');
+    function updateMatchScore(tournament, roundNumber, matchId, team1Score, team2Score, options = {}) {
+        if (isCompleted(tournament)) {
+            throw new Error('Tournament is finished and can no longer be edited');
+        }
+
+        const scoring = getScoringRules(tournament);
+        if (!isValidScore(team1Score, team2Score, scoring)) {
+            throw new Error(isTimed(scoring)
+                ? 'Invalid score: scores must be whole numbers of 0 or more'
+                : `Invalid score: team scores must equal ${scoring.pointsPerMatch}`);
         }
 
         const roundIndex = roundNumber - 1;
@@ -271,34 +1033,99 @@ const Tournament = (function () {
             throw new Error('Match not found');
         }
 
-        match.team1Score = team1Score;
-        match.team2Score = team2Score;
+        const previousScore = [match.team1Score, match.team2Score];
+        const wasScored = match.team1Score !== null && match.team2Score !== null;
+        let label = `${wasScored ? 'Change' : 'Set'} round ${roundNumber} score ${team1Score}-${team2Score}`;
 
         // If editing a previous round, need to regenerate subsequent rounds
+        // (Americano schedules don't depend on results)
         const currentRoundNumber = getCurrentRoundNumber(tournament);
-        if (roundNumber < currentRoundNumber) {
+        const isPastRound = roundNumber < currentRoundNumber && !isAmericano(tournament);
+        const before = isPastRound && !options.keepLaterRounds ? ActionLog.snapshot(tournament, roundNumber) : null;
+
+        match.team1Score = team1Score;
+        match.team2Score = team2Score;
+
+        if (isPastRound && options.keepLaterRounds) {
+            label += ' (later rounds kept)';
+        } else if (isPastRound) {
+            label += roundNumber + 1 === currentRoundNumber
+                ? ` (discarding round ${currentRoundNumber})`
+                : ` (discarding rounds ${roundNumber + 1}-${currentRoundNumber})`;
+
             // Remove all rounds after the edited one
             tournament.rounds = tournament.rounds.slice(0, roundNumber);
 
             // Regenerate next round if the edited round is now complete
-            if (isRoundComplete(tournament.rounds[roundIndex])) {
+            if (isRoundComplete(tournament.rounds[roundIndex], scoring)) {
                 const nextRound = Pairing.generateNextRound(tournament);
                 if (nextRound) {
                     tournament.rounds.push(nextRound);
                 }
             }
+
+            ActionLog.recordRoundsDiscarded(tournament, roundNumber, before, label);
+            tournament.updatedAt = new Date().toISOString();
+            return tournament;
         }
 
+        ActionLog.recordScore(tournament, wasScored ? ActionLog.TYPES.SCORE_CHANGED : ActionLog.TYPES.SCORE_SET,
+            roundNumber, match, previousScore, label);
         tournament.updatedAt = new Date().toISOString();
         return tournament;
     }
 
     /**
-     * Check if tournament is editable (within 1 day of tournament date)
+     * Work out what a score change would do to the rounds after it, without changing the tournament
+     * @param {Object} tournament - Tournament object
+     * @param {number} roundNumber - Round number (1-based)
+     * @param {number} matchId - Match ID
+     * @param {number} team1Score - New team 1 score
+     * @param {number} team2Score - New team 2 score
+     * @returns {Object} { discardsRounds, discardedRounds, scoredMatchCount, newRound } where
+     * discardedRounds are the later rounds that would be deleted and newRound the round
+     * generated in their place (null if the edited round is not complete)
+     */
+    function previewScoreChange(tournament, roundNumber, matchId, team1Score, team2Score) {
+        const copy = JSON.parse(JSON.stringify(tournament));
+        updateMatchScore(copy, roundNumber, matchId, team1Score, team2Score);
+
+        const discardsRounds = roundNumber < getCurrentRoundNumber(tournament) && !isAmericano(tournament);
+        const discardedRounds = discardsRounds ? tournament.rounds.slice(roundNumber) : [];
+        const scoring = getScoringRules(tournament);
+
+        return {
+            discardsRounds: discardsRounds,
+            discardedRounds: discardedRounds,
+            scoredMatchCount: discardedRounds.reduce((count, round) =>
+                count + round.matches.filter(m => isMatchComplete(m, scoring)).length, 0),
+            newRound: discardsRounds ? copy.rounds[roundNumber] || null : null
+        };
+    }
+
+    /**
+     * Get the index of the round to show when opening a tournament
+     * Americano: first round still being played; Mexicano: latest round
+     * @param {Object} tournament - Tournament object
+     * @returns {number} 0-based round index
+     */
+    function getActiveRoundIndex(tournament) {
+        if (isAmericano(tournament)) {
+            const scoring = getScoringRules(tournament);
+            const index = tournament.rounds.findIndex(round => !isRoundComplete(round, scoring));
+            if (index !== -1) return index;
+        }
+        return Math.max(tournament.rounds.length - 1, 0);
+    }
+
+    /**
+     * Check if tournament is editable (within 1 day of tournament date, and not finished)
      * @param {Object} tournament - Tournament object
      * @returns {boolean} True if tournament can be edited
      */
     function canEdit(tournament) {
+        if (isCompleted(tournament)) return false;
+
         const tournamentDate = new Date(tournament.tournamentDate);
         const now = new Date();
 
@@ -311,29 +1138,86 @@ const Tournament = (function () {
     }
 
     /**
-     * Get number of courts based on player count
+     * Get number of courts in use based on player count
      * @param {number} playerCount - Number of players
+     * @param {number} availableCourts - Courts booked (optional, unlimited if omitted)
      * @returns {number} Number of courts
      */
-    function getCourtCount(playerCount) {
-        return playerCount / 4;
+    function getCourtCount(playerCount, availableCourts) {
+        const courts = Math.floor(playerCount / 4);
+        return availableCourts ? Math.min(courts, availableCourts) : courts;
+    }
+
+    /**
+     * Get the courts for the next round once one more player joins:
+     * if everyone had a court, the newcomer gets one too
+     * @param {Object} tournament - Tournament object
+     * @returns {number} Courts available (undefined if not limited)
+     */
+    function getCourtCountAfterJoin(tournament) {
+        if (!tournament.courts) return tournament.courts;
+
+        const activeCount = getActivePlayers(tournament).length;
+        const everyoneOnCourt = tournament.courts >= getCourtCount(activeCount);
+        return everyoneOnCourt
+            ? Math.max(tournament.courts, getCourtCount(activeCount + 1))
+            : tournament.courts;
+    }
+
+    /**
+     * Get number of players resting each round
+     * @param {number} playerCount - Number of players
+     * @param {number} availableCourts - Courts booked (optional, unlimited if omitted)
+     * @returns {number} Players without a court
+     */
+    function getSitOutCount(playerCount, availableCourts) {
+        return playerCount - getCourtCount(playerCount, availableCourts) * 4;
     }
 
     // Public API
     return {
+        SIT_OUT_COMPENSATION,
+        STATUSES,
+        TIEBREAKERS,
+        DEFAULT_TIEBREAKERS,
+        EVENT_TYPES,
+        STARTING_SCORES,
+        FORMATS,
+        SCORING_MODES,
+        isAmericano,
         isValidPlayerCount,
         validatePlayers,
+        getScoringRules,
+        isTimed,
         isValidScore,
         createTournament,
         calculateStats,
+        getAllPlayers,
+        getActivePlayers,
+        getJoinRounds,
+        addPlayer,
+        substitutePlayer,
+        withdrawPlayer,
         rankPlayers,
+        getTiebreakers,
+        getPlayerDetails,
         isMatchComplete,
         isRoundComplete,
         getCurrentRoundNumber,
         getCurrentRound,
+        getActiveRoundIndex,
+        isCompleted,
+        getPlannedRoundCount,
+        isFinalRoundDue,
+        getWinner,
+        finishTournament,
         canStartNextRound,
         updateMatchScore,
+        previewScoreChange,
         canEdit,
-        getCourtCount
+        getCourtCount,
+        getCourtCountAfterJoin,
+        getSitOutCount,
+        getSitOutCompensation
     };
 })();
@@ -14,20 +14,75 @@ const UI = (function () {
 
         tournamentList: document.getElementById('tournamentList'),
         playerInputs: document.getElementById('playerInputs'),
+        playerCountInfo: document.getElementById('playerCountInfo'),
+        courtCount: document.getElementById('courtCount'),
+        tournamentFormat: document.getElementById('tournamentFormat'),
+        pairingStrategy: document.getElementById('pairingStrategy'),
+        pairingStrategyGroup: document.getElementById('pairingStrategyGroup'),
+        seeding: document.getElementById('seeding'),
+        seedingGroup: document.getElementById('seedingGroup'),
+        plannedRounds: document.getElementById('plannedRounds'),
+        plannedRoundsGroup: document.getElementById('plannedRoundsGroup'),
+        finalRound: document.getElementById('finalRound'),
+        finalRoundGroup: document.getElementById('finalRoundGroup'),
+        pointsPerMatch: document.getElementById('pointsPerMatch'),
+        pointsPerMatchGroup: document.getElementById('pointsPerMatchGroup'),
+        scoringMode: document.getElementById('scoringMode'),
+        matchMinutes: document.getElementById('matchMinutes'),
+        matchMinutesGroup: document.getElementById('matchMinutesGroup'),
+        sitOutOptions: document.getElementById('sitOutOptions'),
+        sitOutCompensation: document.getElementById('sitOutCompensation'),
+        sitOutPoints: document.getElementById('sitOutPoints'),
         matchesContainer: document.getElementById('matchesContainer'),
+        sittingOutContainer: document.getElementById('sittingOutContainer'),
 
         createTournamentBtn: document.getElementById('createTournamentBtn'),
         createTournamentForm: document.getElementById('createTournamentForm'),
         backFromCreateBtn: document.getElementById('backFromCreateBtn'),
         backFromTournamentBtn: document.getElementById('backFromTournamentBtn'),
         settingsBtn: document.getElementById('settingsBtn'),
+        syncStatus: document.getElementById('syncStatus'),
         prepopulateBtn: document.getElementById('prepopulateBtn'),
         prepopulateBtn2: document.getElementById('prepopulateBtn2'),
 
         roundIndicator: document.getElementById('roundIndicator'),
         matchesCompleted: document.getElementById('matchesCompleted'),
+        timerBar: document.getElementById('timerBar'),
+        timerDisplay: document.getElementById('timerDisplay'),
+        timerStartBtn: document.getElementById('timerStartBtn'),
+        timerResetBtn: document.getElementById('timerResetBtn'),
         prevRoundBtn: document.getElementById('prevRoundBtn'),
         nextRoundBtn: document.getElementById('nextRoundBtn'),
+        exportTournamentBtn: document.getElementById('exportTournamentBtn'),
+        exportSeasonBtn: document.getElementById('exportSeasonBtn'),
+        exportModal: document.getElementById('exportModal'),
+        closeExportModal: document.getElementById('closeExportModal'),
+        exportMatchesBtn: document.getElementById('exportMatchesBtn'),
+        exportStandingsBtn: document.getElementById('exportStandingsBtn'),
+        exportJsonBtn: document.getElementById('exportJsonBtn'),
+        csvSeparator: document.getElementById('csvSeparator'),
+        csvDecimal: document.getElementById('csvDecimal'),
+        scheduleBtn: document.getElementById('scheduleBtn'),
+        managePlayersBtn: document.getElementById('managePlayersBtn'),
+        finishTournamentBtn: document.getElementById('finishTournamentBtn'),
+        winnerBanner: document.getElementById('winnerBanner'),
+        historyBar: document.getElementById('historyBar'),
+        undoBtn: document.getElementById('undoBtn'),
+        redoBtn: document.getElementById('redoBtn'),
+        managePlayersModal: document.getElementById('managePlayersModal'),
+        managePlayersForm: document.getElementById('managePlayersForm'),
+        closeManagePlayersModal: document.getElementById('closeManagePlayersModal'),
+        managePlayer: document.getElementById('managePlayer'),
+        managePlayerGroup: document.getElementById('managePlayerGroup'),
+        manageAction: document.getElementById('manageAction'),
+        joinOptions: document.getElementById('joinOptions'),
+        newPlayerName: document.getElementById('newPlayerName'),
+        startingScore: document.getElementById('startingScore'),
+        newPlayerCourts: document.getElementById('newPlayerCourts'),
+        substituteOptions: document.getElementById('substituteOptions'),
+        substituteName: document.getElementById('substituteName'),
+        substitutePoints: document.getElementById('substitutePoints'),
+        playerEventsList: document.getElementById('playerEventsList'),
 
         fabContainer: document.getElementById('fabContainer'),
         leaderboardFab: document.getElementById('leaderboardFab'),
@@ -40,20 +95,73 @@ const UI = (function () {
         team1ScoreInput: document.getElementById('team1ScoreInput'),
         team2ScoreInput: document.getElementById('team2ScoreInput'),
         scoreSlider: document.getElementById('scoreSlider'),
+        scoreSliderContainer: document.getElementById('scoreSliderContainer'),
+        sliderMaxLabel: document.getElementById('sliderMaxLabel'),
+        quickScores: document.getElementById('quickScores'),
         confirmScoreBtn: document.getElementById('confirmScoreBtn'),
+        scoreEntry: document.getElementById('scoreEntry'),
+        scoreEntryActions: document.getElementById('scoreEntryActions'),
+        regeneratePreview: document.getElementById('regeneratePreview'),
+        regenerateActions: document.getElementById('regenerateActions'),
+        backToScoreBtn: document.getElementById('backToScoreBtn'),
+        keepRoundsBtn: document.getElementById('keepRoundsBtn'),
+        regenerateRoundsBtn: document.getElementById('regenerateRoundsBtn'),
         cancelScoreBtn: document.getElementById('cancelScoreBtn'),
         closeScoreModal: document.getElementById('closeScoreModal'),
 
         leaderboardModal: document.getElementById('leaderboardModal'),
         leaderboardBody: document.getElementById('leaderboardBody'),
+        leaderboardRules: document.getElementById('leaderboardRules'),
+        tiebreakerList: document.getElementById('tiebreakerList'),
+        spectatorTitle: document.getElementById('spectatorTitle'),
+        spectatorRound: document.getElementById('spectatorRound'),
+        spectatorUpdated: document.getElementById('spectatorUpdated'),
+        spectatorCourts: document.getElementById('spectatorCourts'),
+        spectatorLeaderboard: document.getElementById('spectatorLeaderboard'),
+        spectatorSittingOut: document.getElementById('spectatorSittingOut'),
+        playerDetailModal: document.getElementById('playerDetailModal'),
+        playerDetailTitle: document.getElementById('playerDetailTitle'),
+        playerDetailBody: document.getElementById('playerDetailBody'),
+        closePlayerDetailModal: document.getElementById('closePlayerDetailModal'),
         closeLeaderboardModal: document.getElementById('closeLeaderboardModal'),
 
+        scheduleModal: document.getElementById('scheduleModal'),
+        scheduleBody: document.getElementById('scheduleBody'),
+        closeScheduleModal: document.getElementById('closeScheduleModal'),
+
+        seasonView: document.getElementById('seasonView'),
+        seasonBtn: document.getElementById('seasonBtn'),
+        backFromSeasonBtn: document.getElementById('backFromSeasonBtn'),
+        seasonFrom: document.getElementById('seasonFrom'),
+        seasonTo: document.getElementById('seasonTo'),
+        seasonInfo: document.getElementById('seasonInfo'),
+        seasonBody: document.getElementById('seasonBody'),
+        profileModal: document.getElementById('profileModal'),
+        profileTitle: document.getElementById('profileTitle'),
+        profileBody: document.getElementById('profileBody'),
+        closeProfileModal: document.getElementById('closeProfileModal'),
+        mergeNamesBtn: document.getElementById('mergeNamesBtn'),
+        mergeNamesModal: document.getElementById('mergeNamesModal'),
+        mergeNamesForm: document.getElementById('mergeNamesForm'),
+        mergeVariant: document.getElementById('mergeVariant'),
+        mergeTarget: document.getElementById('mergeTarget'),
+        aliasList: document.getElementById('aliasList'),
+        closeMergeNamesModal: document.getElementById('closeMergeNamesModal'),
+
         settingsModal: document.getElementById('settingsModal'),
         settingsForm: document.getElementById('settingsForm'),
         closeSettingsModal: document.getElementById('closeSettingsModal'),
         githubUser: document.getElementById('githubUser'),
         githubRepo: document.getElementById('githubRepo'),
         githubPat: document.getElementById('githubPat'),
+        storageBackend: document.getElementById('storageBackend'),
+        githubSettings: document.getElementById('githubSettings'),
+        indexedDbSettings: document.getElementById('indexedDbSettings'),
+        folderSettings: document.getElementById('folderSettings'),
+        chooseFolderBtn: document.getElementById('chooseFolderBtn'),
+        folderName: document.getElementById('folderName'),
+        importTournamentInput: document.getElementById('importTournamentInput'),
+        importReport: document.getElementById('importReport'),
 
         toastContainer: document.getElementById('toastContainer')
     };
@@ -102,6 +210,60 @@ const UI = (function () {
         }, duration);
     }
 
+    /**
+     * Show the number of tournaments waiting to be synced, and how many the backend rejected
+     */
+    function renderSyncStatus(pending, syncing, failed = 0) {
+        if (pending === 0) {
+            elements.syncStatus.classList.add('hidden');
+            return;
+        }
+
+        if (syncing) {
+            elements.syncStatus.textContent = `Syncing ${pending}...`;
+        } else if (failed > 0) {
+            elements.syncStatus.textContent = `${failed} ${failed === 1 ? 'change' : 'changes'} not synced - saved on this device`;
+        } else {
+            elements.syncStatus.textContent = `${pending} ${pending === 1 ? 'change' : 'changes'} pending`;
+        }
+        elements.syncStatus.classList.toggle('syncing', syncing);
+        elements.syncStatus.classList.toggle('failed', !syncing && failed > 0);
+        elements.syncStatus.classList.remove('hidden');
+    }
+
+    /**
+     * Show the settings section for the selected storage backend
+     */
+    function showBackendSettings(backend) {
+        const sections = {
+            [Config.BACKENDS.GITHUB]: elements.githubSettings,
+            [Config.BACKENDS.INDEXEDDB]: elements.indexedDbSettings,
+            [Config.BACKENDS.FOLDER]: elements.folderSettings
+        };
+
+        Object.entries(sections).forEach(([key, section]) => {
+            section.classList.toggle('hidden', key !== backend);
+        });
+
+        // GitHub credentials are only required when GitHub is selected
+        [elements.githubUser, elements.githubRepo, elements.githubPat].forEach(input => {
+            input.required = backend === Config.BACKENDS.GITHUB;
+        });
+
+        elements.storageBackend.value = backend;
+    }
+
+    /**
+     * Show the chosen folder name in settings
+     */
+    function setFolderName(name, needsPermission = false) {
+        if (name && needsPermission) {
+            elements.folderName.textContent = `Click "Choose Folder" to allow access to ${name} again`;
+        } else {
+            elements.folderName.textContent = name ? `Using folder: ${name}` : 'No folder selected';
+        }
+    }
+
     /**
      * Render the tournament list
      */
@@ -118,29 +280,174 @@ const UI = (function () {
 
         elements.tournamentList.innerHTML = tournaments.map(t => `
             <div class="tournament-card" data-date="${t.date}">
+                <span class="status-badge hidden"></span>
                 <h3>Mexicano ${t.date}</h3>
                 <div class="date">${new Date(t.date).toLocaleDateString(undefined, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })}</div>
+                <div class="winner hidden"></div>
             </div>
         `).join('');
     }
 
+    /**
+     * Fill in a tournament card once the tournament file has loaded
+     * @param {Object} tournament - Tournament data object
+     */
+    function updateTournamentCard(tournament) {
+        const card = elements.tournamentList.querySelector(`.tournament-card[data-date="${tournament.tournamentDate}"]`);
+        if (!card) return;
+
+        const completed = Tournament.isCompleted(tournament);
+        const badge = card.querySelector('.status-badge');
+        badge.textContent = completed ? 'Completed' : 'In progress';
+        badge.classList.toggle('completed', completed);
+        badge.classList.remove('hidden');
+
+        const winner = card.querySelector('.winner');
+        winner.textContent = completed && tournament.winner ? `🏆 ${tournament.winner}` : '';
+        winner.classList.toggle('hidden', !winner.textContent);
+    }
+
+    /**
+     * Flag a tournament card whose file failed validation
+     * @param {string} date - Tournament date
+     * @param {string} message - Validation error, shown on hover
+     */
+    function markTournamentCardCorrupt(date, message) {
+        const card = elements.tournamentList.querySelector(`.tournament-card[data-date="${date}"]`);
+        if (!card) return;
+
+        const badge = card.querySelector('.status-badge');
+        badge.textContent = '⚠️ Corrupt';
+        badge.title = message;
+        badge.classList.add('corrupt');
+        badge.classList.remove('hidden');
+    }
+
+    /**
+     * Show the winner of a finished tournament and the Finish button while it runs
+     * @param {Object} tournament - Tournament object
+     */
+    function renderTournamentState(tournament) {
+        const completed = Tournament.isCompleted(tournament);
+        elements.finishTournamentBtn.classList.toggle('hidden', !Tournament.canEdit(tournament));
+        elements.winnerBanner.classList.toggle('hidden', !completed);
+        elements.winnerBanner.textContent = completed ? `🏆 Finished · Winner: ${tournament.winner}` : '';
+    }
+
+    /**
+     * Enable the undo/redo buttons and describe what they would do
+     * @param {Object} tournament - Tournament object
+     */
+    function renderHistoryControls(tournament) {
+        const labels = ActionLog.getLabels(tournament);
+        elements.historyBar.classList.toggle('hidden', !Tournament.canEdit(tournament) || (!labels.undo && !labels.redo));
+        elements.undoBtn.disabled = !labels.undo;
+        elements.redoBtn.disabled = !labels.redo;
+        elements.undoBtn.title = labels.undo ? `Undo: ${labels.undo}` : 'Nothing to undo';
+        elements.redoBtn.title = labels.redo ? `Redo: ${labels.redo}` : 'Nothing to redo';
+    }
+
+    /**
+     * Show the outcome of a match-row import, listing every bad row
+     * @param {Object|null} result - { imported, skipped, unsynced, errors } from MatchImport.importFile, null to hide
+     */
+    function renderImportReport(result) {
+        const report = elements.importReport;
+        report.innerHTML = '';
+        report.classList.toggle('hidden', !result);
+        if (!result) return;
+
+        const summary = document.createElement('p');
+        summary.textContent = `Imported ${result.imported.length} tournament(s)` +
+            (result.unsynced.length > 0 ? ` (${result.unsynced.length} will sync when back online)` : '') +
+            (result.skipped.length > 0 ? `, skipped ${result.skipped.length} that already exist (${result.skipped.join(', ')})` : '') +
+            (result.errors.length > 0 ? `, ${result.errors.length} problem(s):` : '');
+        report.appendChild(summary);
+
+        if (result.errors.length === 0) return;
+
+        const list = document.createElement('ul');
+        result.errors.forEach(error => {
+            const item = document.createElement('li');
+            item.textContent = [error.date, error.where, error.message].filter(Boolean).join(' · ');
+            list.appendChild(item);
+        });
+        report.appendChild(list);
+    }
+
     /**
      * Generate player input fields based on count
+     * Names already typed are kept
      */
     function generatePlayerInputs(count) {
+        if (!Tournament.isValidPlayerCount(count)) return;
+
+        const existing = Array.from(elements.playerInputs.querySelectorAll('.player-name-input')).map(input => input.value);
+
         elements.playerInputs.innerHTML = '';
         for (let i = 1; i <= count; i++) {
             const div = document.createElement('div');
             div.className = 'form-group';
             div.innerHTML = `<input type="text" class="player-name-input" placeholder="Player ${i}" required>`;
+            div.querySelector('input').value = existing[i - 1] || '';
             elements.playerInputs.appendChild(div);
         }
+
+        updateCourtInfo();
+    }
+
+    /**
+     * Show courts and sit-outs for the chosen player and court count
+     */
+    function updateCourtInfo() {
+        const count = parseInt(document.getElementById('playerCount').value);
+        if (!Tournament.isValidPlayerCount(count)) return;
+
+        const availableCourts = parseInt(elements.courtCount.value) || undefined;
+        const courts = Tournament.getCourtCount(count, availableCourts);
+        const sitOuts = Tournament.getSitOutCount(count, availableCourts);
+
+        elements.playerCountInfo.textContent = `${courts} ${courts === 1 ? 'court' : 'courts'}` +
+            (sitOuts > 0 ? ` · ${sitOuts} sitting out each round` : '');
+        elements.sitOutOptions.classList.toggle('hidden', sitOuts === 0);
+    }
+
+    /**
+     * Pairing strategies, seeding and round planning only apply to Mexicano
+     * (Americano has a fixed schedule)
+     */
+    function updateFormatOptions() {
+        const americano = elements.tournamentFormat.value === Tournament.FORMATS.AMERICANO;
+        elements.pairingStrategyGroup.classList.toggle('hidden', americano);
+        elements.seedingGroup.classList.toggle('hidden', americano);
+        elements.plannedRoundsGroup.classList.toggle('hidden', americano);
+        elements.finalRoundGroup.classList.toggle('hidden', americano || !elements.plannedRounds.value);
+    }
+
+    /**
+     * Show match length for timed scoring, points per match otherwise
+     */
+    function updateScoringOptions() {
+        const timed = elements.scoringMode.value === Tournament.SCORING_MODES.TIMED;
+        elements.matchMinutesGroup.classList.toggle('hidden', !timed);
+        elements.pointsPerMatchGroup.classList.toggle('hidden', timed);
+        elements.pointsPerMatch.required = !timed;
+    }
+
+    /**
+     * Show the fixed points input only for fixed compensation
+     */
+    function updateSitOutOptions() {
+        elements.sitOutPoints.classList.toggle('hidden', elements.sitOutCompensation.value !== Tournament.SIT_OUT_COMPENSATION.FIXED);
     }
 
     /**
      * Render match cards for a specific round
+     * @param {Object} options - { scoring, generatesRounds, plannedRoundCount }; the Next Round FAB
+     * is offered once the round is complete, if rounds are generated one by one
      */
-    function renderMatches(round, canEdit, rankedPlayers = []) {
+    function renderMatches(round, canEdit, rankedPlayers = [], options = {}) {
+        const { scoring, generatesRounds = true, plannedRoundCount = null } = options;
         if (!round) return;
 
         // Create a map for quick rank lookup
@@ -150,8 +457,10 @@ const UI = (function () {
         });
 
         // Ensure matches are ordered by the ranks of players in them
-        // (Top players/Court 1 at the top)
+        // (Top players/Court 1 at the top), unless courts are fixed by the schedule
         const sortedMatches = [...round.matches].sort((a, b) => {
+            if (a.court && b.court) return a.court - b.court;
+
             const getMinRank = (match) => {
                 const players = [match.team1Player1, match.team1Player2, match.team2Player1, match.team2Player2];
                 return Math.min(...players.map(p => rankMap[p] || 999));
@@ -159,25 +468,32 @@ const UI = (function () {
             return getMinRank(a) - getMinRank(b);
         });
 
-        elements.roundIndicator.textContent = `Round ${round.roundNumber}`;
-        const completedCount = round.matches.filter(m => Tournament.isMatchComplete(m)).length;
+        elements.roundIndicator.textContent = round.isFinal
+            ? 'Final'
+            : `Round ${round.roundNumber}${plannedRoundCount ? `/${plannedRoundCount}` : ''}`;
+        const completedCount = round.matches.filter(m => Tournament.isMatchComplete(m, scoring)).length;
         elements.matchesCompleted.textContent = `${completedCount}/${round.matches.length} matches completed`;
 
         elements.matchesContainer.innerHTML = sortedMatches.map((m, index) => {
-            const isComplete = Tournament.isMatchComplete(m);
-            const winner = isComplete ? (m.team1Score > m.team2Score ? 1 : 2) : 0;
+            const isComplete = Tournament.isMatchComplete(m, scoring);
+            let winner = 0;
+            if (isComplete && m.team1Score !== m.team2Score) {
+                winner = m.team1Score > m.team2Score ? 1 : 2;
+            }
+            const showTimer = scoring && Tournament.isTimed(scoring) && !isComplete;
 
             const formatPlayer = (name) => {
                 const rank = rankMap[name];
                 const rankDisplay = rank ? `<span class="player-rank">#${rank}</span>` : '';
                 const winnerClass = winner === (name === m.team1Player1 || name === m.team1Player2 ? 1 : 2) ? 'winner' : '';
-                return `<div class="player-name ${winnerClass}">${name} ${rankDisplay}</div>`;
+                return `<div class="player-name ${winnerClass}" data-player="${name}">${name} ${rankDisplay}</div>`;
             };
 
             return `
                 <div class="match-card ${isComplete ? 'completed' : ''}" data-match-id="${m.id}" data-round="${round.roundNumber}">
                     <div class="match-header">
-                        <span>Court #${index + 1}</span>
+                        <span>Court #${index + 1}${m.isFinal ? ' · 🏆 Title match' : ''}</span>
+                        ${showTimer ? '<span class="court-timer"></span>' : ''}
                         ${isComplete && !canEdit ? '<span>Final</span>' : ''}
                     </div>
                     <div class="match-body">
@@ -199,57 +515,585 @@ const UI = (function () {
             `;
         }).join('');
 
+        renderSittingOut(round.sittingOut || [], rankMap);
+
         // Show/Hide Next Round FAB
-        if (Tournament.isRoundComplete(round)) {
+        if (generatesRounds && Tournament.isRoundComplete(round, scoring)) {
             elements.nextRoundFab.classList.remove('hidden');
         } else {
             elements.nextRoundFab.classList.add('hidden');
         }
     }
 
+    /**
+     * Show or hide the match timer bar
+     */
+    function toggleTimerBar(show) {
+        elements.timerBar.classList.toggle('hidden', !show);
+    }
+
+    /**
+     * Show the countdown in the timer bar and on every unfinished court
+     */
+    function renderTimer(state) {
+        const text = state.finished ? "Time's up" : MatchTimer.format(state.remainingMs);
+
+        elements.timerDisplay.textContent = text;
+        elements.timerBar.classList.toggle('finished', state.finished);
+        elements.timerStartBtn.textContent = state.running ? '⏸ Pause' : '▶ Start';
+
+        elements.matchesContainer.querySelectorAll('.court-timer').forEach(el => {
+            el.textContent = text;
+            el.classList.toggle('finished', state.finished);
+        });
+    }
+
+    /**
+     * Render the players without a court in the displayed round
+     * Players are grouped by ranking like the courts: full groups of 4 are
+     * shown as waiting groups, the lowest ranked rest as sitting out
+     * @param {Array} sittingOut - Names of the players without a court
+     * @param {Object} rankMap - Current rank by player name
+     */
+    function renderSittingOut(sittingOut, rankMap = {}) {
+        if (sittingOut.length === 0) {
+            elements.sittingOutContainer.classList.add('hidden');
+            return;
+        }
+
+        const players = [...sittingOut].sort((a, b) => (rankMap[a] || 999) - (rankMap[b] || 999));
+
+        const renderPlayers = (names) => `
+            <div class="sitting-out-players">
+                ${names.map(p => `<span class="sitting-out-player">${p}${rankMap[p] ? ` <span class="player-rank">#${rankMap[p]}</span>` : ''}</span>`).join('')}
+            </div>`;
+
+        const groupCount = Math.floor(players.length / 4);
+        let html = '';
+
+        if (groupCount > 0) {
+            html += '<div class="sitting-out-title">Waiting (no court)</div>';
+            for (let i = 0; i < groupCount; i++) {
+                html += `
+                    <div class="waiting-group">
+                        <div class="waiting-group-title">Group ${i + 1}</div>
+                        ${renderPlayers(players.slice(i * 4, i * 4 + 4))}
+                    </div>`;
+            }
+        }
+
+        const rest = players.slice(groupCount * 4);
+        if (rest.length > 0) {
+            html += `<div class="sitting-out-title">Sitting out</div>${renderPlayers(rest)}`;
+        }
+
+        elements.sittingOutContainer.innerHTML = html;
+        elements.sittingOutContainer.classList.remove('hidden');
+    }
+
+    /**
+     * Render the full schedule (all rounds) in the schedule modal
+     */
+    function renderSchedule(tournament, currentRoundIndex) {
+        const scoring = Tournament.getScoringRules(tournament);
+        elements.scheduleBody.innerHTML = tournament.rounds.map((round, index) => `
+            <div class="schedule-round ${index === currentRoundIndex ? 'current' : ''}">
+                <div class="schedule-round-title">Round ${round.roundNumber}</div>
+                ${round.matches.map(m => `
+                    <div class="schedule-match">
+                        <span>${m.team1Player1} & ${m.team1Player2} vs ${m.team2Player1} & ${m.team2Player2}</span>
+                        <span class="schedule-score">${Tournament.isMatchComplete(m, scoring) ? `${m.team1Score} - ${m.team2Score}` : '–'}</span>
+                    </div>
+                `).join('')}
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Render the manage players form and the changes made so far
+     * @param {Object} tournament - Tournament object
+     */
+    function renderManagePlayers(tournament) {
+        const active = Tournament.getActivePlayers(tournament);
+        elements.managePlayer.innerHTML = active
+            .map(name => `<option value="${name}">${name}</option>`)
+            .join('');
+        elements.substituteName.value = '';
+        elements.newPlayerName.value = '';
+        elements.manageAction.value = Tournament.EVENT_TYPES.SUBSTITUTE;
+        elements.manageAction.disabled = Tournament.isAmericano(tournament);
+
+        elements.newPlayerCourts.value = Tournament.getCourtCountAfterJoin(tournament);
+        updateManageAction();
+
+        const describe = (e) => {
+            switch (e.type) {
+                case Tournament.EVENT_TYPES.SUBSTITUTE:
+                    return `${e.player} → ${e.substitute}${e.inheritPoints ? ' (points carried over)' : ''}`;
+                case Tournament.EVENT_TYPES.JOIN:
+                    return `${e.player} joined with ${e.startingPoints} pts`;
+                default:
+                    return `${e.player} withdrew`;
+            }
+        };
+        elements.playerEventsList.innerHTML = (tournament.events || [])
+            .map(e => `<li>${describe(e)} after round ${e.round}</li>`)
+            .join('');
+    }
+
+    /**
+     * Show the fields for the selected player change
+     */
+    function updateManageAction() {
+        const action = elements.manageAction.value;
+        const substitute = action === Tournament.EVENT_TYPES.SUBSTITUTE;
+        const join = action === Tournament.EVENT_TYPES.JOIN;
+
+        elements.managePlayerGroup.classList.toggle('hidden', join);
+        elements.substituteOptions.classList.toggle('hidden', !substitute);
+        elements.joinOptions.classList.toggle('hidden', !join);
+        elements.substituteName.required = substitute;
+        elements.newPlayerName.required = join;
+    }
+
+    // Short tiebreaker names for the leaderboard
+    const TIEBREAKER_LABELS = {
+        'points': 'Points',
+        'wins': 'Wins',
+        'differential': 'Point difference',
+        'head-to-head': 'Head-to-head',
+        'points-per-game': 'Points per game',
+        'fewest-sit-outs': 'Fewest sit-outs'
+    };
+
+    /**
+     * Get the ticked tiebreakers of the create form, in list order
+     * @returns {Array<string>} Tiebreakers
+     */
+    function getSelectedTiebreakers() {
+        return Array.from(elements.tiebreakerList.querySelectorAll('li'))
+            .filter(li => li.querySelector('input').checked)
+            .map(li => li.dataset.tiebreaker);
+    }
+
+    /**
+     * Move a tiebreaker one place up in the create form
+     * @param {HTMLElement} item - List item
+     */
+    function moveTiebreakerUp(item) {
+        if (item.previousElementSibling) {
+            elements.tiebreakerList.insertBefore(item, item.previousElementSibling);
+        }
+    }
+
     /**
      * Render the leaderboard
+     * @param {Array<Object>} rankedPlayers - Result of Tournament.rankPlayers
+     * @param {Array<string>} tiebreakers - Ranking criteria of the tournament
      */
-    function renderLeaderboard(rankedPlayers) {
+    function renderLeaderboard(rankedPlayers, tiebreakers = Tournament.DEFAULT_TIEBREAKERS) {
+        elements.leaderboardRules.textContent = `Ranking: ${tiebreakers.map(t => TIEBREAKER_LABELS[t]).join(' → ')}`;
         elements.leaderboardBody.innerHTML = rankedPlayers.map(p => `
+            <tr data-player="${p.name}">
+                <td class="rank-cell">${p.rank}</td>
+                <td class="name-cell">${p.name}${p.leftAfterRound ? ` <span class="form-hint">${p.replacedBy ? `→ ${p.replacedBy}` : 'withdrew'}</span>` : ''}${p.separatedBy ? ` <span class="tiebreak-tag" title="Level on points with the player above, separated by ${TIEBREAKER_LABELS[p.separatedBy].toLowerCase()}">${TIEBREAKER_LABELS[p.separatedBy]}</span>` : ''}</td>
+                <td class="pts-cell">${p.totalPoints}</td>
+                <td>${p.wins}</td>
+                <td>${p.draws}</td>
+                <td>${p.losses}</td>
+                <td>${p.pointsPerGame.toFixed(1)}</td>
+            </tr>
+        `).join('');
+    }
+
+    /**
+     * Render the season leaderboard
+     * @param {Array<Object>} players - Ranked season stats from Season.calculateSeasonStats
+     * @param {number} nightCount - Tournaments in the selected range
+     * @param {Object} ratings - Player ratings from Rating.calculateRatings
+     */
+    function renderSeason(players, nightCount, ratings) {
+        elements.seasonInfo.textContent = `${nightCount} ${nightCount === 1 ? 'night' : 'nights'} · ${players.length} players`;
+
+        if (players.length === 0) {
+            elements.seasonBody.innerHTML = '<tr><td colspan="8" class="form-hint">No tournaments in this range</td></tr>';
+            return;
+        }
+
+        elements.seasonBody.innerHTML = players.map(p => `
+            <tr data-key="${p.key}">
+                <td class="rank-cell">${p.rank}</td>
+                <td class="name-cell">${p.name}</td>
+                <td>${p.attendance}</td>
+                <td class="pts-cell">${p.totalPoints}</td>
+                <td>${p.pointsPerGame.toFixed(1)}</td>
+                <td>${Math.round(p.winPercentage)}%</td>
+                <td>${p.bestFinish ? `#${p.bestFinish}` : '–'}</td>
+                <td>${ratings[p.key] ? Math.round(ratings[p.key].rating) : '–'}</td>
+            </tr>
+        `).join('');
+    }
+
+    /**
+     * Build an SVG line chart of a player's rating after each night
+     * @param {Array<Object>} history - [{ date, rating }]
+     * @returns {string} SVG markup
+     */
+    function renderRatingChart(history) {
+        const width = 300;
+        const height = 120;
+        const padding = 10;
+
+        const points = [{ date: '', rating: Rating.INITIAL_RATING }, ...history];
+        const ratings = points.map(p => p.rating);
+        const min = Math.min(...ratings);
+        const max = Math.max(...ratings);
+        const range = Math.max(max - min, 1);
+
+        const coords = points.map((p, i) => {
+            const x = padding + (i / Math.max(points.length - 1, 1)) * (width - padding * 2);
+            const y = padding + ((max - p.rating) / range) * (height - padding * 2);
+            return `${x.toFixed(1)},${y.toFixed(1)}`;
+        });
+
+        return `
+            <svg class="rating-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="Rating history">
+                <polyline points="${coords.join(' ')}" />
+                ${coords.slice(1).map((c, i) => {
+                    const [x, y] = c.split(',');
+                    return `<circle cx="${x}" cy="${y}" r="3"><title>${history[i].date}: ${Math.round(history[i].rating)}</title></circle>`;
+                }).join('')}
+            </svg>
+            <div class="rating-chart-range">
+                <span>${Math.round(min)}</span>
+                <span>${Math.round(max)}</span>
+            </div>`;
+    }
+
+    /**
+     * Render a player's season profile
+     * @param {Object} player - Season stats
+     * @param {Object|undefined} rating - { rating, history } from Rating.calculateRatings
+     */
+    function renderProfile(player, rating) {
+        const stat = (value, label) => `
+            <div class="profile-stat">
+                <div class="profile-stat-value">${value}</div>
+                <div class="profile-stat-label">${label}</div>
+            </div>`;
+
+        elements.profileTitle.textContent = player.name;
+        elements.profileBody.innerHTML = `
+            <div class="profile-summary">
+                ${stat(player.attendance, 'Nights')}
+                ${stat(player.totalPoints, 'Points')}
+                ${stat(player.pointsPerGame.toFixed(1), 'Avg')}
+                ${stat(`${Math.round(player.winPercentage)}%`, 'Win %')}
+                ${stat(`${player.wins}-${player.draws}-${player.losses}`, 'W-D-L')}
+                ${stat(player.bestFinish ? `#${player.bestFinish}` : '–', 'Best')}
+            </div>
+            ${rating ? `
+                <div class="rating-chart-title">Rating ${Math.round(rating.rating)}</div>
+                ${renderRatingChart(rating.history)}
+            ` : ''}
+            ${Object.keys(player.spellings).length > 1 ? `<p class="form-hint">Also entered as: ${Object.keys(player.spellings).filter(n => n !== player.name).join(', ')}</p>` : ''}
+            <table class="leaderboard-table">
+                <thead>
+                    <tr>
+                        <th>Date</th>
+                        <th>Finish</th>
+                        <th>Pts</th>
+                        <th>W-D-L</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${[...player.finishes].reverse().map(f => `
+                        <tr>
+                            <td>${f.date}</td>
+                            <td class="rank-cell">${f.rank ? `${f.rank}/${f.playerCount}` : 'Left'}</td>
+                            <td class="pts-cell">${f.totalPoints}</td>
+                            <td>${f.wins}-${f.draws}-${f.losses}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>`;
+    }
+
+    /**
+     * Render the spectator scoreboard: courts of the round in play and the leaderboard
+     * @param {Object} update - { tournament, highlighted, updatedAt, error } from Spectator
+     */
+    function renderSpectator(update) {
+        const { tournament, highlighted, updatedAt, error } = update;
+
+        if (error) {
+            elements.spectatorUpdated.textContent = `⚠️ ${error.message}`;
+        } else {
+            elements.spectatorUpdated.textContent = `Updated ${updatedAt.toLocaleTimeString()}`;
+        }
+        if (!tournament) return;
+
+        const scoring = Tournament.getScoringRules(tournament);
+        const round = tournament.rounds[Tournament.getActiveRoundIndex(tournament)];
+        const rankings = Tournament.rankPlayers(tournament);
+
+        elements.spectatorTitle.textContent = tournament.name || `Mexicano ${tournament.tournamentDate}`;
+        if (Tournament.isCompleted(tournament)) {
+            elements.spectatorRound.textContent = `🏆 ${tournament.winner}`;
+        } else if (round) {
+            elements.spectatorRound.textContent = round.isFinal ? 'Final' : `Round ${round.roundNumber}`;
+        }
+
+        elements.spectatorCourts.innerHTML = round ? round.matches.map((m, index) => {
+            const isComplete = Tournament.isMatchComplete(m, scoring);
+            const justFinished = highlighted.includes(`${round.roundNumber}-${m.id}`);
+            const winner = isComplete && m.team1Score !== m.team2Score ? (m.team1Score > m.team2Score ? 1 : 2) : 0;
+
+            return `
+                <div class="match-card spectator-court ${isComplete ? 'completed' : ''} ${justFinished ? 'just-finished' : ''}">
+                    <div class="match-header">
+                        <span>Court #${m.court || index + 1}${m.isFinal ? ' · 🏆 Title match' : ''}</span>
+                        ${justFinished ? '<span>Just finished</span>' : ''}
+                    </div>
+                    <div class="match-body">
+                        <div class="team team-1 ${winner === 1 ? 'winner' : ''}">
+                            <div class="player-name">${m.team1Player1}</div>
+                            <div class="player-name">${m.team1Player2}</div>
+                        </div>
+                        <div class="match-score-display">
+                            ${isComplete ? `<span>${m.team1Score}</span> - <span>${m.team2Score}</span>` : '<span class="score-pending">Playing</span>'}
+                        </div>
+                        <div class="team team-2 ${winner === 2 ? 'winner' : ''}">
+                            <div class="player-name">${m.team2Player1}</div>
+                            <div class="player-name">${m.team2Player2}</div>
+                        </div>
+                    </div>
+                </div>`;
+        }).join('') : '<p class="form-hint">No rounds yet</p>';
+
+        const sittingOut = round ? round.sittingOut || [] : [];
+        elements.spectatorSittingOut.textContent = `Sitting out: ${sittingOut.join(', ')}`;
+        elements.spectatorSittingOut.classList.toggle('hidden', sittingOut.length === 0);
+
+        elements.spectatorLeaderboard.innerHTML = rankings.map(p => `
             <tr>
                 <td class="rank-cell">${p.rank}</td>
                 <td class="name-cell">${p.name}</td>
                 <td class="pts-cell">${p.totalPoints}</td>
                 <td>${p.wins}</td>
+                <td>${p.draws}</td>
                 <td>${p.losses}</td>
-                <td>${p.pointsPerGame.toFixed(1)}</td>
             </tr>
         `).join('');
     }
 
+    /**
+     * Render the player sheet for the open tournament
+     * @param {Object} details - Result of Tournament.getPlayerDetails
+     */
+    function renderPlayerDetails(details) {
+        const s = details.stats;
+        const stat = (value, label) => `
+            <div class="profile-stat">
+                <div class="profile-stat-value">${value}</div>
+                <div class="profile-stat-label">${label}</div>
+            </div>`;
+        const signed = value => value > 0 ? `+${value}` : `${value}`;
+        const pairing = (label, record) => record ? `
+            <tr>
+                <td>${label}</td>
+                <td class="name-cell">${record.name}</td>
+                <td>${record.averageScore.toFixed(1)}</td>
+                <td>${record.matches}</td>
+            </tr>` : '';
+        const movement = entry => {
+            if (entry.rank === null || entry.movement === 0) return '';
+            return entry.movement > 0
+                ? `<span class="rank-up">▲${entry.movement}</span>`
+                : `<span class="rank-down">▼${-entry.movement}</span>`;
+        };
+
+        elements.playerDetailTitle.textContent = s.name;
+        elements.playerDetailBody.innerHTML = `
+            <div class="profile-summary">
+                ${stat(s.totalPoints, 'Points')}
+                ${stat(s.pointsConceded, 'Conceded')}
+                ${stat(signed(s.pointDifferential), 'Difference')}
+                ${stat(s.pointsPerGame.toFixed(1), 'Avg')}
+                ${stat(`${s.wins}-${s.draws}-${s.losses}`, 'W-D-L')}
+                ${stat(s.longestWinStreak, 'Win streak')}
+            </div>
+            ${details.bestPartner ? `
+                <table class="leaderboard-table">
+                    <thead>
+                        <tr>
+                            <th></th>
+                            <th>Player</th>
+                            <th>Avg</th>
+                            <th>Games</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${pairing('Best partner', details.bestPartner)}
+                        ${pairing('Worst partner', details.worstPartner)}
+                        ${pairing('Toughest opponent', details.toughestOpponent)}
+                    </tbody>
+                </table>
+                <p class="form-hint">Avg is ${s.name}'s team score per match.</p>
+            ` : '<p class="form-hint">No matches played yet.</p>'}
+            ${details.rankHistory.length > 0 ? `
+                <div class="rating-chart-title">Rank after each round</div>
+                <div class="rank-history">
+                    ${details.rankHistory.map(entry => `
+                        <div class="rank-history-round">
+                            <span class="form-hint">R${entry.roundNumber}</span>
+                            <strong>${entry.rank === null ? '–' : `#${entry.rank}`}</strong>
+                            ${movement(entry)}
+                        </div>
+                    `).join('')}
+                </div>
+            ` : ''}`;
+    }
+
+    /**
+     * Render the merge names form and the list of merged names
+     * @param {Array<string>} names - Season player names
+     * @param {Object} aliases - Map of normalized variant to player name
+     */
+    function renderMergeNames(names, aliases) {
+        const options = names.map(name => `<option value="${name}">${name}</option>`).join('');
+        elements.mergeVariant.innerHTML = options;
+        elements.mergeTarget.innerHTML = options;
+
+        elements.aliasList.innerHTML = Object.entries(aliases).map(([variant, name]) => `
+            <li>
+                <span>${variant} → ${name}</span>
+                <button type="button" class="btn btn-secondary btn-sm" data-variant="${variant}">Undo</button>
+            </li>
+        `).join('');
+    }
+
+    // Scoring rules of the open score modal
+    let scorePointsPerMatch = 25;
+    let scoreIsTimed = false;
+
+    /**
+     * Render quick-score preset buttons for the points per match
+     * (e.g. 13-12, 15-10, 17-8, 20-5 for 25 points)
+     */
+    function renderQuickScores(pointsPerMatch) {
+        const presets = [0.5, 0.6, 0.68, 0.8].map(share => Math.ceil(pointsPerMatch * share - 0.001));
+        const unique = [...new Set(presets)].filter(score => score <= pointsPerMatch);
+
+        elements.quickScores.innerHTML = unique.map(score =>
+            `<button type="button" class="quick-score-btn" data-score="${score}">${score}-${pointsPerMatch - score}</button>`
+        ).join('');
+    }
+
     /**
      * Show the score entry modal
      */
-    function showScoreModal(match) {
+    function showScoreModal(match, scoring) {
+        scorePointsPerMatch = scoring.pointsPerMatch;
+        scoreIsTimed = Tournament.isTimed(scoring);
+
+        toggleRegeneratePreview(false);
         elements.scoreModalTitle.textContent = `Match Score`;
         elements.team1Names.textContent = `${match.team1Player1} & ${match.team1Player2}`;
         elements.team2Names.textContent = `${match.team2Player1} & ${match.team2Player2}`;
 
-        const t1Score = match.team1Score !== null ? match.team1Score : 13;
-        elements.team1ScoreInput.value = t1Score;
-        elements.team2ScoreInput.value = 25 - t1Score;
-        elements.scoreSlider.value = t1Score;
+        // Timed matches: each team's score is entered separately
+        elements.scoreSliderContainer.classList.toggle('hidden', scoreIsTimed);
+        elements.quickScores.classList.toggle('hidden', scoreIsTimed);
+        elements.team2ScoreInput.readOnly = !scoreIsTimed;
+
+        if (scoreIsTimed) {
+            elements.team1ScoreInput.removeAttribute('max');
+            elements.team2ScoreInput.removeAttribute('max');
+            elements.team1ScoreInput.value = match.team1Score !== null ? match.team1Score : 0;
+            elements.team2ScoreInput.value = match.team2Score !== null ? match.team2Score : 0;
+            toggleModal(elements.scoreModal, true);
+            return;
+        }
+
+        elements.scoreSlider.max = scorePointsPerMatch;
+        elements.team1ScoreInput.max = scorePointsPerMatch;
+        elements.team2ScoreInput.max = scorePointsPerMatch;
+        elements.sliderMaxLabel.textContent = scorePointsPerMatch;
+        renderQuickScores(scorePointsPerMatch);
+
+        const t1Score = match.team1Score !== null ? match.team1Score : Math.ceil(scorePointsPerMatch / 2);
+        updateScoreModal(t1Score);
 
         toggleModal(elements.scoreModal, true);
     }
 
+    /**
+     * Switch the score modal between score entry and the regenerate preview
+     * @param {boolean} show - True to show the preview
+     */
+    function toggleRegeneratePreview(show) {
+        elements.scoreEntry.classList.toggle('hidden', show);
+        elements.scoreEntryActions.classList.toggle('hidden', show);
+        elements.regeneratePreview.classList.toggle('hidden', !show);
+        elements.regenerateActions.classList.toggle('hidden', !show);
+        elements.scoreModalTitle.textContent = show ? 'Replace Later Rounds?' : 'Match Score';
+    }
+
+    /**
+     * Show which later rounds a previous-round edit would throw away and the new pairing
+     * @param {Object} preview - Result of Tournament.previewScoreChange
+     * @param {number} roundNumber - Edited round number
+     * @param {Object} scoring - Scoring rules
+     */
+    function showRegeneratePreview(preview, roundNumber, scoring) {
+        const teams = m => `${m.team1Player1} & ${m.team1Player2} vs ${m.team2Player1} & ${m.team2Player2}`;
+        const scoreOf = m => Tournament.isMatchComplete(m, scoring) ? `${m.team1Score}-${m.team2Score}` : 'not played';
+        const lost = preview.scoredMatchCount;
+
+        const discarded = preview.discardedRounds.map(round => `
+            <h4>Round ${round.roundNumber}</h4>
+            <ul class="preview-matches discarded">
+                ${round.matches.map(m => `<li><span>${teams(m)}</span><span>${scoreOf(m)}</span></li>`).join('')}
+            </ul>
+        `).join('');
+
+        const newRound = preview.newRound
+            ? `<ul class="preview-matches">
+                ${preview.newRound.matches.map(m => `<li><span>${teams(m)}</span></li>`).join('')}
+               </ul>
+               ${preview.newRound.sittingOut && preview.newRound.sittingOut.length > 0
+                    ? `<p class="form-hint">Sitting out: ${preview.newRound.sittingOut.join(', ')}</p>`
+                    : ''}`
+            : `<p class="form-hint">Round ${roundNumber + 1} will be generated once round ${roundNumber} is complete.</p>`;
+
+        elements.regeneratePreview.innerHTML = `
+            <p>Changing a round ${roundNumber} score regenerates everything after it.
+               ${lost > 0 ? `<strong>${lost} entered ${lost === 1 ? 'score' : 'scores'} will be lost.</strong>` : ''}</p>
+            <h3>Removed</h3>
+            ${discarded}
+            <h3>New round ${roundNumber + 1}</h3>
+            ${newRound}
+            <p class="form-hint">Keep later rounds corrects the score and only recalculates the standings.</p>
+        `;
+
+        toggleRegeneratePreview(true);
+    }
+
     /**
      * Update score modal based on slider/input
      */
     function updateScoreModal(value) {
+        // Timed scores are independent, nothing to autofill
+        if (scoreIsTimed) return;
+
         value = parseInt(value);
         if (isNaN(value)) value = 0;
         if (value < 0) value = 0;
-        if (value > 25) value = 25;
+        if (value > scorePointsPerMatch) value = scorePointsPerMatch;
 
         elements.team1ScoreInput.value = value;
-        elements.team2ScoreInput.value = 25 - value;
+        elements.team2ScoreInput.value = scorePointsPerMatch - value;
         elements.scoreSlider.value = value;
     }
 
@@ -289,11 +1133,37 @@ const UI = (function () {
         showView,
         toggleModal,
         showToast,
+        renderSyncStatus,
+        showBackendSettings,
+        setFolderName,
         renderTournamentList,
+        updateTournamentCard,
+        markTournamentCardCorrupt,
+        renderTournamentState,
+        renderHistoryControls,
+        renderImportReport,
         generatePlayerInputs,
+        updateCourtInfo,
+        updateFormatOptions,
+        updateScoringOptions,
+        updateSitOutOptions,
         renderMatches,
+        toggleTimerBar,
+        renderTimer,
+        renderSchedule,
+        renderManagePlayers,
+        updateManageAction,
         renderLeaderboard,
+        getSelectedTiebreakers,
+        renderPlayerDetails,
+        renderSpectator,
+        moveTiebreakerUp,
+        renderSeason,
+        renderProfile,
+        renderMergeNames,
         showScoreModal,
+        showRegeneratePreview,
+        toggleRegeneratePreview,
         updateScoreModal,
         prepopulateForm
     };
@@ -0,0 +1,86 @@
+/**
+ * Service worker for Mexicano Tournament
+ * Caches the app shell so the app can open without a network connection
+ */
+
+const CACHE_NAME = 'mexicano-shell-v1';
+
+// App shell files (keep in sync with the scripts in index.html)
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'css/styles.css',
+    'js/config.js',
+    'js/merge.js',
+    'js/storage-github.js',
+    'js/storage-indexeddb.js',
+    'js/storage-folder.js',
+    'js/storage.js',
+    'js/sync.js',
+    'js/tournament.js',
+    'js/pairing.js',
+    'js/history.js',
+    'js/schema.js',
+    'js/timer.js',
+    'js/season.js',
+    'js/rating.js',
+    'js/spectator.js',
+    'js/router.js',
+    'js/export.js',
+    'js/import.js',
+    'js/ui.js',
+    'js/app.js'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    // Remove caches from previous versions
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const url = new URL(event.request.url);
+
+    // Only handle the app's own files; API calls go straight to the network
+    if (event.request.method !== 'GET' || url.origin !== self.location.origin) {
+        return;
+    }
+
+    // Tournament data must never be served stale from the shell cache
+    if (url.pathname.endsWith('.json')) {
+        return;
+    }
+
+    // Stale-while-revalidate: answer from cache, refresh it in the background
+    event.respondWith(
+        caches.open(CACHE_NAME).then(async (cache) => {
+            const cached = await cache.match(event.request, { ignoreSearch: true });
+
+            const network = fetch(event.request)
+                .then(response => {
+                    if (response.ok) {
+                        cache.put(event.request, response.clone());
+                    }
+                    return response;
+                })
+                .catch(() => cached);
+
+            if (cached) {
+                event.waitUntil(network);
+                return cached;
+            }
+            return network;
+        })
+    );
+});